@@ -1,33 +1,157 @@
 #!/usr/bin/env node
 
-const { convertEnv } = require('../src/index');
-const { parseArgs, showHelp } = require('../src/utils');
+const { convertEnv, convertToEnv, diffEnv, SUPPORTED_FORMATS } = require('../src/index');
+const { DIFF_FORMATS, DIFF_EXIT_CODES, diffExitCode, formatDiff } = require('../src/diff');
+const { generateKey, cryptFile } = require('../src/encryption');
+const { buildRunEnv, runCommand, exitCodeFor } = require('../src/run');
+const { watchEnv } = require('../src/watch');
+const { LINT_FORMATS, lintEnv, formatLint } = require('../src/lint');
+const { SCAN_FORMATS, SCAN_EXIT_CODES, scanEnv, scanExitCode, formatScan } = require('../src/scan');
+const { batchConvert, formatBatch } = require('../src/batch');
+const { loadPlugins } = require('../src/plugins');
+const { getEnvValue, setEnvValues, unsetEnvKeys } = require('../src/edit');
+const { writeFile, fileExists, readSource } = require('../src/utils');
+const { COMMANDS, parseArgs, showHelp } = require('../src/args');
+const { version } = require('../package.json');
 
 function main() {
   const args = process.argv.slice(2);
-  const options = parseArgs(args);
+  let options;
+  try {
+    options = parseArgs(args);
+  } catch (error) {
+    const command = Object.prototype.hasOwnProperty.call(COMMANDS, args[0]) ? `${args[0]} ` : '';
+    console.error(`Error: ${error.message}`);
+    console.error(`Run 'env-to-json ${command}--help' for usage.`);
+    process.exit(1);
+  }
+  
+  // Plugins come first, so their formats show up in help and pass validation
+  try {
+    loadPlugins(options.plugins);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
   
   // Show help if requested
   if (options.help) {
-    showHelp();
+    showHelp(options.command);
     process.exit(0);
   }
   
+  if (options.version) {
+    console.log(version);
+    process.exit(0);
+  }
+  
+  if (options.command === 'to-env') {
+    runToEnv(options);
+    return;
+  }
+  
+  if (options.command === 'diff') {
+    runDiff(options);
+    return;
+  }
+  
+  if (['get', 'set', 'unset'].includes(options.command)) {
+    runEdit(options);
+    return;
+  }
+  
+  if (options.command === 'lint') {
+    runLint(options);
+    return;
+  }
+  
+  if (options.command === 'scan') {
+    runScan(options);
+    return;
+  }
+  
+  if (options.command === 'batch') {
+    runBatch(options);
+    return;
+  }
+  
+  if (options.command === 'run') {
+    runRun(options);
+    return;
+  }
+  
+  if (options.command === 'keygen') {
+    runKeygen(options);
+    return;
+  }
+  
+  if (['encrypt', 'decrypt', 'rotate'].includes(options.command)) {
+    runCrypt(options);
+    return;
+  }
+  
   // Validate format
-  const validFormats = ['json', 'yaml', 'js'];
-  if (!validFormats.includes(options.format)) {
-    console.error(`Error: Invalid format '${options.format}'. Valid formats: ${validFormats.join(', ')}`);
+  options.format = options.format || 'json';
+  if (!SUPPORTED_FORMATS.includes(options.format)) {
+    console.error(`Error: Invalid format '${options.format}'. Valid formats: ${SUPPORTED_FORMATS.join(', ')}`);
     process.exit(1);
   }
   
-  // Convert the environment file
-  const result = convertEnv(options);
+  // - writes to stdout, as it does without --output
+  if (options.output === '-') {
+    options.output = null;
+  }
+  
+  const stdin = [].concat(options.file).includes('-');
+  if (stdin || options.fromProcessEnv) {
+    const source = stdin ? 'stdin' : 'the environment';
+    if (options.watch || options.generateExample) {
+      console.error(`Error: --watch and example need env files, not ${source}`);
+      process.exit(1);
+    }
+    if (options.fromProcessEnv && (stdin || options.inputs.length > 0)) {
+      console.error('Error: --from-process-env does not read a file');
+      process.exit(1);
+    }
+    if (stdin && Array.isArray(options.file)) {
+      console.error('Error: stdin cannot be layered with other files');
+      process.exit(1);
+    }
+  }
+  
+  if (options.watch) {
+    runWatch(options);
+    return;
+  }
+  
+  if (stdin) {
+    readSource(process.stdin)
+      .then(content => printConversion(convertEnv({ ...options, file: '<stdin>', content }), options))
+      .catch(error => {
+        console.error(`Error: Failed to read stdin: ${error.message}`);
+        process.exit(1);
+      });
+    return;
+  }
   
+  // Convert the environment file
+  printConversion(convertEnv(options), options);
+}
+
+function printConversion(result, options) {
   if (!result.success) {
     console.error(`Error: ${result.error}`);
     process.exit(1);
   }
   
+  for (const warning of result.warnings || []) {
+    console.error(`Warning: ${warning.file}:${warning.line}: ${warning.message}`);
+  }
+  
+  if (result.explain) {
+    console.error(result.explain);
+  }
+  
   // Output results
   if (result.message) {
     console.log(result.message);
@@ -38,6 +162,294 @@ function main() {
   }
 }
 
+function runWatch(options) {
+  if (!options.output && !options.generateExample) {
+    console.error('Error: --watch needs --output (or --generate-example) to know what to rewrite');
+    process.exit(1);
+  }
+  
+  let watcher;
+  try {
+    watcher = watchEnv(options);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+  
+  console.error(`Watching ${watcher.files.length} file(s), press Ctrl+C to stop`);
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, () => {
+      watcher.close();
+      process.exit(0);
+    });
+  }
+}
+
+function runToEnv(options) {
+  if (options.inputs.length === 0) {
+    console.error('Error: to-env requires a config file (JSON, YAML or JS)');
+    process.exit(1);
+  }
+  
+  const result = convertToEnv({
+    file: options.inputs[0],
+    output: options.output,
+    separator: options.nest || '__'
+  });
+  
+  if (!result.success) {
+    console.error(`Error: ${result.error}`);
+    process.exit(1);
+  }
+  
+  if (result.message) {
+    console.log(result.message);
+  } else {
+    process.stdout.write(result.data);
+  }
+}
+
+function runDiff(options) {
+  const format = options.format || 'text';
+  if (!DIFF_FORMATS.includes(format)) {
+    console.error(`Error: Invalid diff format '${format}'. Valid formats: ${DIFF_FORMATS.join(', ')}`);
+    process.exit(DIFF_EXIT_CODES.error);
+  }
+  
+  let diff;
+  try {
+    diff = diffEnv({
+      left: options.inputs[0] || '.env',
+      right: options.inputs[1],
+      example: options.example,
+      redact: options.redact,
+      auto: options.redactAuto,
+      maskStyle: options.maskStyle,
+      maskSalt: options.maskSalt,
+      showValues: options.showValues,
+      keyFile: options.keyFile
+    });
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(DIFF_EXIT_CODES.error);
+  }
+  
+  const report = formatDiff(diff, format);
+  if (report) {
+    console.log(report);
+  }
+  process.exit(diffExitCode(diff));
+}
+
+function runEdit(options) {
+  const { command, inputs } = options;
+  if (inputs.length === 0) {
+    console.error(`Error: ${command} requires ${command === 'set' ? 'KEY=VALUE' : 'a key'}, e.g. env-to-json ${command} ${command === 'set' ? 'PORT=3000' : 'PORT'}`);
+    process.exit(1);
+  }
+  if (Array.isArray(options.file)) {
+    console.error(`Error: ${command} works on one file at a time`);
+    process.exit(1);
+  }
+  
+  try {
+    if (command === 'get') {
+      for (const key of inputs) {
+        const value = getEnvValue({ file: options.file, key, expand: options.expand, keyFile: options.keyFile });
+        if (value === undefined) {
+          console.error(`Error: ${key} is not set in ${options.file}`);
+          process.exit(1);
+        }
+        console.log(value);
+      }
+      return;
+    }
+    
+    if (command === 'set') {
+      const values = {};
+      for (const assignment of inputs) {
+        if (!assignment.includes('=')) {
+          console.error(`Error: Expected KEY=VALUE, got "${assignment}"`);
+          process.exit(1);
+        }
+        values[assignment.slice(0, assignment.indexOf('='))] = assignment.slice(assignment.indexOf('=') + 1);
+      }
+      const result = setEnvValues({ file: options.file, values, literal: options.literal });
+      console.log(`Updated ${result.file}: ${result.changed.length} changed, ${result.added.length} added`);
+      return;
+    }
+    
+    const result = unsetEnvKeys({ file: options.file, keys: inputs });
+    for (const key of result.missing) {
+      console.error(`Warning: ${key} is not set in ${result.file}`);
+    }
+    console.log(`Updated ${result.file}: ${result.removed.length} removed`);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+function runLint(options) {
+  const format = options.format || 'text';
+  if (!LINT_FORMATS.includes(format)) {
+    console.error(`Error: Invalid lint format '${format}'. Valid formats: ${LINT_FORMATS.join(', ')}`);
+    process.exit(1);
+  }
+  
+  const files = options.inputs.length > 0 ? options.inputs : [].concat(options.file);
+  let results;
+  try {
+    results = files.map(file => lintEnv({ file, rules: options.rules, fix: options.fix }));
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+  
+  console.log(formatLint(results, format));
+  process.exit(results.some(result => result.errorCount > 0) ? 1 : 0);
+}
+
+function runScan(options) {
+  const format = options.format || 'text';
+  if (!SCAN_FORMATS.includes(format)) {
+    console.error(`Error: Invalid scan format '${format}'. Valid formats: ${SCAN_FORMATS.join(', ')}`);
+    process.exit(SCAN_EXIT_CODES.error);
+  }
+  
+  let scan;
+  try {
+    scan = scanEnv({
+      paths: options.inputs.length > 0 ? options.inputs : ['.'],
+      files: options.file,
+      exclude: options.exclude,
+      ignore: options.ignore
+    });
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(SCAN_EXIT_CODES.error);
+  }
+  
+  console.log(formatScan(scan, format));
+  process.exit(scanExitCode(scan, { strict: options.strict }));
+}
+
+function runBatch(options) {
+  if (options.inputs.length === 0) {
+    console.error("Error: batch requires a manifest or a glob, e.g. env-to-json batch 'apps/*/.env' --output='{dir}/config.json'");
+    process.exit(1);
+  }
+  
+  // Options given here apply to every entry; unset ones keep convertEnv's defaults
+  const defaults = {};
+  for (const key of ['format', 'name', 'namespace', 'labels', 'whitelist', 'exclude', 'prefix', 'excludeEmpty', 'excludeValues',
+    'redact', 'redactAuto', 'maskStyle', 'maskSalt', 'types', 'typeOverrides', 'nest', 'keyCase', 'stripPrefix', 'schema', 'mode',
+    'strict', 'expand', 'expandHost', 'keyFile']) {
+    if (options[key] !== null) {
+      defaults[key] = options[key];
+    }
+  }
+  
+  const manifests = options.inputs.filter(input => /\.(json|ya?ml|c?js)$/.test(input) && fileExists(input));
+  const globs = options.inputs.filter(input => !manifests.includes(input));
+  const batches = manifests.map(manifest => ({ manifest }));
+  if (globs.length > 0) {
+    batches.push({ entries: [{ file: globs }] });
+  }
+  
+  const batch = { results: [], succeeded: 0, failed: 0 };
+  try {
+    for (const run of batches) {
+      const result = batchConvert({ ...run, defaults, output: options.output });
+      batch.results.push(...result.results);
+      batch.succeeded += result.succeeded;
+      batch.failed += result.failed;
+    }
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+  
+  for (const result of batch.results) {
+    for (const warning of result.warnings || []) {
+      console.error(`Warning: ${warning.file}:${warning.line}: ${warning.message}`);
+    }
+  }
+  console.log(formatBatch(batch));
+  process.exit(batch.failed > 0 ? 1 : 0);
+}
+
+function runKeygen(options) {
+  const key = generateKey();
+  
+  if (!options.keyFile) {
+    console.log(key);
+    return;
+  }
+  
+  // A new key cannot decrypt the values encrypted with the old one
+  if (fileExists(options.keyFile) && !options.force) {
+    console.error(`Error: ${options.keyFile} already exists; values encrypted with it cannot be decrypted once it is replaced. Pass --force to replace it anyway`);
+    process.exit(1);
+  }
+  
+  // Readable by the owner only
+  writeFile(options.keyFile, `${key}\n`, { mode: 0o600 });
+  console.log(`Key written to ${options.keyFile}. Do not commit this file.`);
+}
+
+function runCrypt(options) {
+  const result = cryptFile({
+    action: options.command,
+    file: options.inputs[0] || '.env',
+    output: options.output,
+    keyFile: options.keyFile,
+    newKeyFile: options.newKeyFile,
+    include: options.whitelist,
+    exclude: options.exclude
+  });
+  
+  if (!result.success) {
+    console.error(`Error: ${result.error}`);
+    process.exit(1);
+  }
+  
+  console.log(result.message);
+}
+
+function runRun(options) {
+  if (options.exec.length === 0) {
+    console.error('Error: run requires a command after --, e.g. env-to-json run -- node server.js');
+    process.exit(1);
+  }
+  
+  let env;
+  try {
+    env = buildRunEnv({
+      file: options.file,
+      mode: options.mode,
+      expand: options.expand,
+      keyFile: options.keyFile,
+      whitelist: options.whitelist,
+      exclude: options.exclude,
+      prefix: options.prefix,
+      excludeEmpty: options.excludeEmpty,
+      excludeValues: options.excludeValues,
+      override: options.override
+    });
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+  
+  runCommand(options.exec[0], options.exec.slice(1), env)
+    .then(result => process.exit(exitCodeFor(result)))
+    .catch(error => {
+      console.error(`Error: ${error.message}`);
+      process.exit(127);
+    });
+}
+
 // Handle uncaught exceptions
 process.on('uncaughtException', (error) => {
   console.error(`Uncaught Exception: ${error.message}`);
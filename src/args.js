@@ -0,0 +1,644 @@
+const path = require('path');
+const { SUPPORTED_FORMATS } = require('./formats');
+const { DIFF_FORMATS } = require('./diff');
+const { LINT_FORMATS } = require('./lint');
+const { SCAN_FORMATS } = require('./scan');
+const { loadConfig } = require('./config');
+const { SOURCE_TYPES } = require('./sources');
+const { MASK_STYLES } = require('./secrets');
+
+const CONVERT = ['convert', 'example'];
+const CRYPT = ['encrypt', 'decrypt', 'rotate'];
+const EDIT = ['get', 'set', 'unset'];
+// Commands that convert env files, and so take the conversion options
+const CONVERSION = ['convert', 'batch'];
+// Commands whose positional argument is the env file
+const FILE_COMMANDS = [...CONVERT, 'run'];
+
+/**
+ * Subcommands; convert runs when the first argument is not a command
+ */
+const COMMANDS = {
+  convert: {
+    usage: '[file] [options]',
+    description: 'Convert an env file to JSON, YAML and other formats (default)',
+    inputs: 1,
+    examples: [
+      'env-to-json                              # Convert .env to JSON',
+      'env-to-json .env.local -f yaml           # Convert to YAML',
+      'env-to-json --include=PORT,DB_HOST      # Filter specific keys',
+      'env-to-json --exclude SECRET -o config.json',
+      "env-to-json --include='AWS_*,/^DB_(HOST|PORT)$/' --exclude-empty",
+      'env-to-json --prefix=REACT_APP_ --format=yaml',
+      'env-to-json --redact=PASSWORD,TOKEN --format=json',
+      'env-to-json --format=k8s --name=web --namespace=prod --label=app=web',
+      'env-to-json --format=compose --name=api  # services.api.environment block',
+      'eval "$(env-to-json --format=sh)"        # Load .env into the current shell',
+      'env-to-json --format=dts --output=env.d.ts  # Keys only in .env.example are optional',
+      'env-to-json --format=ts --types=auto --output=src/config.ts',
+      'env-to-json --redact-auto --mask-style=partial',
+      'env-to-json --types=auto --type=ZIP_CODE:string',
+      'env-to-json --nest --key-case=camel      # DB__HOST -> { db: { host } }',
+      'env-to-json --mode=production --explain',
+      'env-to-json --file=.env --file=.env.ci   # .env.ci overrides .env',
+      'env-to-json --no-expand                  # Keep ${VAR} references as text',
+      'env-to-json --mode=development --output=config.json --watch',
+      'cat .env.prod | env-to-json - --format=yaml  # Read from stdin',
+      'kubectl get configmap web -o yaml | env-to-json - --from=k8s-configmap --format=docker-env-file',
+      'docker inspect api | env-to-json - --from=docker-inspect',
+      'env-to-json --from-process-env --prefix=CI_ # Convert the live environment'
+    ]
+  },
+  example: {
+    usage: '[file] [options]',
+    description: 'Generate .env.example with secret values blanked',
+    inputs: 1,
+    examples: [
+      'env-to-json example',
+      'env-to-json example --sync               # Add new keys, keep hand edits'
+    ]
+  },
+  'to-env': {
+    usage: '<config.json|yaml|js> [options]',
+    description: 'Convert a JSON, YAML or JS config back to .env',
+    inputs: 1,
+    examples: [
+      'env-to-json to-env config.json --output=.env'
+    ]
+  },
+  diff: {
+    usage: '<file> [other-file|--example] [options]',
+    description: 'Compare two env files, or an env file with its .env.example',
+    inputs: 2,
+    formats: DIFF_FORMATS,
+    examples: [
+      'env-to-json diff .env --example                # Keys missing from .env.example',
+      'env-to-json diff .env.staging .env.production --redact=SECRET',
+      'env-to-json diff .env .env.local --show-values  # Print values unmasked'
+    ],
+    notes: 'Secret names and detected credentials are masked unless --show-values is given.\n' +
+      'Encrypted values are decrypted before comparing; without a key they are not compared.\nExit codes: 0 in sync, 1 error, 2 keys missing or extra, 3 values differ'
+  },
+  get: {
+    usage: '<KEY...> [options]',
+    description: 'Print values from an env file',
+    inputs: Infinity,
+    examples: [
+      'env-to-json get DATABASE_URL                  # Expanded and decrypted',
+      'env-to-json get API_URL --no-expand --file=.env.production'
+    ]
+  },
+  set: {
+    usage: '<KEY=VALUE...> [options]',
+    description: 'Set values in an env file, keeping its formatting',
+    inputs: Infinity,
+    examples: [
+      "env-to-json set PORT=4000 'GREETING=hello world'",
+      "env-to-json set --literal 'PASSWORD=pa$$word'   # Write $ so it is not expanded"
+    ]
+  },
+  unset: {
+    usage: '<KEY...> [options]',
+    description: 'Remove keys from an env file, keeping its formatting',
+    inputs: Infinity,
+    examples: [
+      'env-to-json unset LEGACY_TOKEN --file=.env.local'
+    ]
+  },
+  lint: {
+    usage: '[files...] [options]',
+    description: 'Check env files for mistakes, and fix what can be fixed',
+    inputs: Infinity,
+    formats: LINT_FORMATS,
+    examples: [
+      'env-to-json lint .env .env.production',
+      'env-to-json lint --fix                         # Quote values, drop duplicates and trailing spaces',
+      'env-to-json lint --rule=lowercase-key:off --rule=undefined-reference:error'
+    ],
+    notes: 'Rules: duplicate-key, invalid-key, missing-equals, mismatched-quotes, unquoted-spaces,\n' +
+      'trailing-whitespace, lowercase-key, undefined-reference. Exits with 1 when errors remain.'
+  },
+  scan: {
+    usage: '[paths...] [options]',
+    description: 'Find env variables the code uses but no env file declares, and the reverse',
+    inputs: Infinity,
+    formats: SCAN_FORMATS,
+    examples: [
+      'env-to-json scan src                           # Compare with .env and .env.example',
+      'env-to-json scan --file=.env.example --exclude=NODE_ENV --strict',
+      "env-to-json scan . --ignore='*.test.js,fixtures' --format=json"
+    ],
+    notes: 'Finds process.env.X, process.env[\'X\'], destructuring from process.env and import.meta.env.X.\n' +
+      'Exit codes: 0 clean, 1 error, 2 variables used but not declared (or, with --strict, declared but unused)'
+  },
+  encrypt: {
+    usage: '[file] [options]',
+    description: 'Encrypt values in place',
+    inputs: 1,
+    examples: [
+      "env-to-json encrypt .env --include='*_SECRET,*_PASSWORD'"
+    ],
+    notes: 'Encrypted values (enc:v2:...) are decrypted automatically when a key is\navailable from --key-file, $ENV2JSON_KEY or .env.key.'
+  },
+  decrypt: {
+    usage: '[file] [options]',
+    description: 'Decrypt values back to plain text',
+    inputs: 1,
+    examples: [
+      'env-to-json decrypt .env --key-file=.env.key'
+    ]
+  },
+  rotate: {
+    usage: '[file] --key-file=old.key --new-key-file=new.key',
+    description: 'Re-encrypt values with a new key',
+    inputs: 1,
+    examples: [
+      'env-to-json rotate .env --key-file=.env.key --new-key-file=.env.key.new'
+    ]
+  },
+  keygen: {
+    usage: '[--key-file=.env.key]',
+    description: 'Create an encryption key, or print one',
+    inputs: 0,
+    examples: [
+      'env-to-json keygen --key-file=.env.key         # Keep this file out of git'
+    ]
+  },
+  batch: {
+    usage: '<manifest|glob...> [options]',
+    description: 'Convert many env files, from a manifest or globs, with output templates',
+    inputs: Infinity,
+    examples: [
+      "env-to-json batch 'apps/*/.env.production' --output='{dir}/config.{mode}.json'",
+      'env-to-json batch env2json.batch.yaml        # Per-entry format, filter and redact options',
+      "env-to-json batch 'services/**/.env' --format=yaml --output='dist/{package}.yaml'"
+    ],
+    notes: 'Placeholders: {dir}, {package} (directory name), {name}, {mode}, {format}.\n' +
+      '.env.example and .env.key files are skipped. Exits with 1 when any file fails.'
+  },
+  run: {
+    usage: '[file] [options] -- <command> [args...]',
+    description: 'Run a command with the env loaded',
+    inputs: 1,
+    examples: [
+      'env-to-json run --mode=test -- jest --ci    # Run with .env and .env.test loaded',
+      'env-to-json run --prefix=APP_ --override -- node server.js'
+    ]
+  }
+};
+
+/**
+ * Command line options
+ *
+ * type is boolean, string or list; list options may be repeated and split
+ * on commas. commands lists where an option applies, null meaning all;
+ * descriptions replaces the help text for single commands. relative
+ * values starting with . are paths relative to the config file; choices
+ * lists the values a string option accepts.
+ */
+const OPTIONS = [
+  { name: 'format', alias: 'f', type: 'string', value: 'FORMAT', default: null, commands: [...CONVERSION, 'diff', 'lint', 'scan'],
+    description: 'Output format, the first listed being the default' },
+  { name: 'name', type: 'string', value: 'NAME', default: null, commands: [...CONVERSION],
+    description: 'Resource name for k8s formats, service name for compose' },
+  { name: 'namespace', type: 'string', value: 'NAMESPACE', default: null, commands: [...CONVERSION],
+    description: 'Namespace for k8s formats' },
+  { name: 'label', key: 'labels', type: 'list', value: 'key=value', separator: '=', default: [], commands: [...CONVERSION],
+    description: 'Label for k8s formats; repeat or comma-separate' },
+  { name: 'output', alias: 'o', type: 'string', value: 'FILE', default: null, commands: [...CONVERSION, 'to-env', ...CRYPT],
+    description: 'Save to file instead of stdout', descriptions: { batch: 'Output template for entries without one' } },
+  { name: 'include', aliases: ['whitelist'], key: 'whitelist', alias: 'i', type: 'list', value: 'KEY,AWS_*', default: [],
+    commands: [...CONVERSION, 'encrypt', 'decrypt', 'run'], description: 'Only include matching keys (alias: --whitelist)' },
+  { name: 'exclude', alias: 'e', type: 'list', value: 'KEY,*_TOKEN', default: [], commands: [...CONVERSION, 'encrypt', 'decrypt', 'run', 'scan'],
+    description: 'Exclude matching keys', descriptions: { scan: 'Leave matching keys out of the report' } },
+  { name: 'prefix', alias: 'p', type: 'list', value: 'APP_,VITE_', default: null, commands: [...CONVERSION, 'run'],
+    description: 'Only keys starting with one of the prefixes' },
+  { name: 'exclude-empty', type: 'boolean', default: false, commands: [...CONVERSION, 'run'],
+    description: 'Drop keys with empty values' },
+  { name: 'exclude-value', key: 'excludeValues', type: 'list', value: '/regex/', default: [], commands: [...CONVERSION, 'run'],
+    description: 'Drop keys whose value matches' },
+  { name: 'redact', type: 'list', value: 'PASS,SECRET', default: [], commands: [...CONVERT, 'batch', 'diff'],
+    description: 'Redact sensitive keys/values' },
+  { name: 'redact-auto', type: 'boolean', default: false, commands: [...CONVERT, 'batch', 'diff'],
+    description: 'Also redact detected credentials and random tokens' },
+  { name: 'detect-secrets', type: 'boolean', default: true, negate: true, commands: CONVERT,
+    description: 'Blank detected credentials in examples (default: on)' },
+  { name: 'mask-style', type: 'string', value: 'full', default: 'full', commands: [...CONVERSION, 'diff'], choices: MASK_STYLES,
+    description: `Mask style: ${MASK_STYLES.join(', ')}` },
+  { name: 'mask-salt', type: 'string', value: 'SALT', default: null, commands: [...CONVERSION, 'diff'],
+    description: 'Salt for hash masks (default: $ENV2JSON_MASK_SALT, then a fixed salt)' },
+  { name: 'types', type: 'string', value: 'auto|string', default: 'string', commands: [...CONVERSION],
+    description: 'Detect numbers, booleans, null and JSON (default: string)' },
+  { name: 'type', key: 'typeOverrides', type: 'list', value: 'KEY:type', default: [], commands: [...CONVERSION],
+    description: "Force a key's type (string, number, boolean, json)" },
+  { name: 'nest', type: 'string', value: '__', optional: '__', default: null, commands: [...CONVERSION, 'to-env'],
+    description: 'Nest keys on a separator (DB__HOST -> DB.HOST)' },
+  { name: 'key-case', type: 'string', value: 'camel', default: 'preserve', commands: [...CONVERSION],
+    description: 'Key case: camel, snake, kebab, lower, upper' },
+  { name: 'strip-prefix', type: 'boolean', default: false, commands: [...CONVERSION],
+    description: 'Remove the --prefix from output keys' },
+  { name: 'schema', type: 'string', value: 'env.schema.json', default: null, commands: [...CONVERSION],
+    description: 'Validate keys against a JSON/YAML schema' },
+  { name: 'file', type: 'list', value: 'FILE', default: [], commands: [...CONVERT, 'run', ...EDIT, 'scan'],
+    description: 'Env file; repeat to layer files (later wins)',
+    descriptions: {
+      get: 'Env file to read (default: .env)',
+      set: 'Env file to edit (default: .env)',
+      unset: 'Env file to edit (default: .env)',
+      scan: 'Env file declaring keys; repeat for more (default: .env, .env.example)'
+    } },
+  { name: 'from', type: 'string', value: 'TYPE', default: 'env', commands: ['convert'],
+    description: `Input type: ${SOURCE_TYPES.join(', ')} or one added by a plugin` },
+  { name: 'from-process-env', type: 'boolean', default: false, commands: ['convert'],
+    description: 'Convert the current environment instead of a file' },
+  { name: 'mode', alias: 'm', type: 'string', value: 'MODE', default: null, commands: [...CONVERT, 'batch', 'run'],
+    description: 'Layer .env, .env.local, .env.MODE, .env.MODE.local' },
+  { name: 'explain', type: 'boolean', default: false, commands: ['convert'],
+    description: 'Print which file each key came from (to stderr)' },
+  { name: 'strict', type: 'boolean', default: false, commands: [...CONVERSION, 'scan'],
+    description: 'Fail on lines that cannot be parsed instead of warning',
+    descriptions: { scan: 'Also fail when declared keys are never used' } },
+  { name: 'expand', type: 'boolean', default: true, negate: true, commands: [...CONVERSION, 'run', 'get'],
+    description: 'Expand ${VAR} references (default: on)' },
+  { name: 'expand-host', type: 'boolean', default: false, commands: CONVERSION,
+    description: 'Let references fall back to the environment env-to-json runs in' },
+  { name: 'generate-example', type: 'boolean', default: false, commands: ['convert'],
+    description: 'Generate .env.example file (same as the example command)' },
+  { name: 'sync', type: 'boolean', default: false, commands: CONVERT,
+    description: 'Merge new keys into an existing .env.example' },
+  { name: 'watch', alias: 'w', type: 'boolean', default: false, commands: CONVERT,
+    description: 'Rewrite the output when the env, schema or example files change' },
+  { name: 'show-values', type: 'boolean', default: false, commands: ['diff'],
+    description: 'Print values unmasked, except those matching --redact or --redact-auto' },
+  { name: 'example', type: 'boolean', default: false, commands: ['diff'],
+    description: 'Compare keys with the .env.example' },
+  { name: 'key-file', type: 'string', value: 'FILE', default: null, commands: [...CONVERSION, ...CRYPT, 'keygen', 'run', 'get', 'diff'],
+    description: 'Encryption key file (default: $ENV2JSON_KEY, then .env.key)' },
+  { name: 'literal', type: 'boolean', default: false, commands: ['set'],
+    description: 'Quote values so $VAR references are kept as text' },
+  { name: 'fix', type: 'boolean', default: false, commands: ['lint'],
+    description: 'Rewrite the files to fix what can be fixed' },
+  { name: 'rule', key: 'rules', type: 'list', value: 'RULE:level', separator: ':', default: [], commands: ['lint'],
+    description: 'Set a rule to off, warn or error; repeat for more rules' },
+  { name: 'ignore', type: 'list', value: 'PATTERN', default: [], commands: ['scan'],
+    description: 'Skip matching paths; node_modules, dist, build, coverage and dot directories always are' },
+  { name: 'force', type: 'boolean', default: false, commands: ['keygen'],
+    description: 'Replace an existing key file' },
+  { name: 'new-key-file', type: 'string', value: 'FILE', default: null, commands: ['rotate'],
+    description: 'Key to re-encrypt with' },
+  { name: 'override', type: 'boolean', default: false, negate: true, commands: ['run'],
+    description: 'Let env files replace existing variables (default: off)' },
+  { name: 'plugin', key: 'plugins', type: 'list', value: 'FILE', default: [], commands: null, relative: true,
+    description: 'Load a plugin adding formats, transforms or input types; repeat for more' },
+  { name: 'config', type: 'string', value: 'FILE', default: null, negate: true, cli: true, commands: null,
+    description: 'Read defaults from FILE; --no-config ignores config files' },
+  { name: 'version', alias: 'v', type: 'boolean', default: false, cli: true, commands: null,
+    description: 'Print the version' },
+  { name: 'help', alias: 'h', type: 'boolean', default: false, cli: true, commands: null,
+    description: 'Show help' }
+];
+
+/**
+ * Property name for an option, e.g. exclude-empty -> excludeEmpty
+ * @param {Object} option - Option definition
+ * @returns {string} Property name
+ */
+function optionKey(option) {
+  return option.key || option.name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+}
+
+/**
+ * Find an option by config key
+ * @param {string} name - Flag name or property name, e.g. exclude-empty or excludeEmpty
+ * @returns {Object|undefined} Option definition
+ */
+function findOption(name) {
+  return OPTIONS.find(option =>
+    option.name === name ||
+    optionKey(option) === name ||
+    (option.aliases || []).includes(name)
+  );
+}
+
+/**
+ * Check whether an option applies to a command
+ * @param {Object} option - Option definition
+ * @param {string} command - Command name
+ * @returns {boolean} True if the command accepts the option
+ */
+function appliesTo(option, command) {
+  return option.commands === null || option.commands.includes(command);
+}
+
+/**
+ * Split a comma-separated option value, keeping /regex/ patterns whole
+ * @param {string} value - Option value
+ * @returns {string[]} Trimmed items
+ */
+function splitList(value) {
+  const items = [];
+  
+  for (const part of value.split(',')) {
+    const last = items[items.length - 1];
+    // A regex containing a comma, e.g. /a{1,3}/, continues the previous item
+    if (last !== undefined && last.startsWith('/') && !/^\/.+\/[a-z]*$/.test(last)) {
+      items[items.length - 1] = `${last},${part}`;
+    } else {
+      items.push(part.trim());
+    }
+  }
+  
+  return items.filter(Boolean);
+}
+
+/**
+ * Read the command, options and positional arguments given on the command line
+ * @param {string[]} args - Command line arguments
+ * @returns {Object} Command, given option values keyed by property, inputs and exec
+ */
+function readArgs(args) {
+  let command = 'convert';
+  const given = {};
+  const inputs = [];
+  let exec = [];
+  
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    
+    if (i === 0 && Object.prototype.hasOwnProperty.call(COMMANDS, arg)) {
+      command = arg;
+      continue;
+    }
+    if (arg === '--') {
+      // Everything after -- belongs to the command being run
+      exec = args.slice(i + 1);
+      break;
+    }
+    if (arg === '-' || !arg.startsWith('-')) {
+      inputs.push(arg);
+      continue;
+    }
+    
+    // Only the first = separates the flag, so --output=a=b.json keeps a=b.json
+    const equals = arg.indexOf('=');
+    const flag = equals === -1 ? arg : arg.slice(0, equals);
+    let value = equals === -1 ? undefined : arg.slice(equals + 1);
+    const long = flag.startsWith('--');
+    const name = flag.replace(/^--?/, '');
+    
+    let option = long ? OPTIONS.find(o => o.name === name || (o.aliases || []).includes(name)) : OPTIONS.find(o => o.alias === name);
+    let negated = false;
+    if (!option && long && name.startsWith('no-')) {
+      option = OPTIONS.find(o => o.name === name.slice(3) && (o.type === 'boolean' || o.negate));
+      negated = Boolean(option);
+    }
+    
+    if (!option) {
+      throw new Error(`Unknown option ${flag}`);
+    }
+    if (!appliesTo(option, command)) {
+      throw new Error(`Option --${option.name} is not supported by the ${command} command`);
+    }
+    
+    const key = optionKey(option);
+    if (option.type === 'boolean' || negated) {
+      if (value !== undefined) {
+        throw new Error(`Option ${flag} does not take a value`);
+      }
+      given[key] = option.type === 'boolean' ? !negated : false;
+      continue;
+    }
+    
+    if (value === undefined) {
+      // Options with an optional value only take it after =
+      if (option.optional !== undefined) {
+        value = option.optional;
+      } else if (i + 1 < args.length && !args[i + 1].startsWith('--')) {
+        value = args[++i];
+      } else {
+        throw new Error(`Option ${flag} requires a value`);
+      }
+    }
+    
+    given[key] = option.type === 'list'
+      ? (given[key] || []).concat(splitList(value))
+      : value;
+  }
+  
+  return { command, given, inputs, exec };
+}
+
+/**
+ * Turn config values into option values, checking the option names
+ * @param {Object} config - Options keyed by flag or property name
+ * @param {string} command - Command being run
+ * @param {string} file - Config file, used in messages
+ * @param {string} base - Directory relative paths are resolved against (default: left as given)
+ * @returns {Object} Option values keyed by property
+ */
+function configValues(config, command, file, base = null) {
+  const values = {};
+  
+  for (const [name, value] of Object.entries(config)) {
+    const option = findOption(name);
+    if (!option || option.cli) {
+      throw new Error(`Unknown option "${name}" in ${file}`);
+    }
+    if (!appliesTo(option, command)) {
+      continue;
+    }
+    
+    const key = optionKey(option);
+    if (option.type === 'list' && option.separator && typeof value === 'object' && !Array.isArray(value) && value !== null) {
+      // e.g. rules: { lowercase-key: off } for --rule=lowercase-key:off
+      values[key] = Object.entries(value).map(([name, setting]) => `${name}${option.separator}${setting}`);
+    } else if (option.type === 'list') {
+      values[key] = Array.isArray(value) ? value.map(String) : splitList(String(value));
+    } else if (option.type === 'boolean') {
+      if (typeof value !== 'boolean') {
+        throw new Error(`Option "${name}" in ${file} must be true or false`);
+      }
+      values[key] = value;
+    } else if (option.type === 'string' && typeof value === 'object' && value !== null) {
+      throw new Error(`Option "${name}" in ${file} must be a string`);
+    } else {
+      values[key] = value === null ? null : String(value);
+    }
+    
+    if (option.relative && base) {
+      values[key] = values[key].map(item => (item.startsWith('.') ? path.resolve(base, item) : item));
+    }
+  }
+  
+  return values;
+}
+
+/**
+ * Parse command line arguments
+ *
+ * Options are read as --flag=value, --flag value or a short alias such as
+ * -o value. Defaults come from the project config (.env2jsonrc,
+ * env2json.config.js or the "env2json" key of package.json); options under
+ * "commands.<name>" apply to that command only, and the command line wins.
+ * @param {string[]} args - Command line arguments
+ * @param {Object} options - Parse options
+ * @param {string} options.cwd - Directory to look for config files in (default: process.cwd())
+ * @returns {Object} Parsed arguments
+ */
+function parseArgs(args, options = {}) {
+  const { cwd = process.cwd() } = options;
+  const { command, given, inputs, exec } = readArgs(args);
+  
+  if (inputs.length > COMMANDS[command].inputs) {
+    throw new Error(`Unexpected argument "${inputs[COMMANDS[command].inputs]}" for the ${command} command`);
+  }
+  
+  const parsed = { command, inputs, exec, configFile: null };
+  for (const option of OPTIONS) {
+    const value = option.default;
+    parsed[optionKey(option)] = Array.isArray(value) ? [...value] : value;
+  }
+  
+  // The config file only supplies defaults, so a help or version request
+  // does not depend on it being valid
+  if (given.config !== false && !given.help && !given.version) {
+    const loaded = loadConfig({ file: given.config, cwd });
+    if (loaded) {
+      const { commands = {}, ...shared } = loaded.config;
+      const base = path.dirname(path.resolve(loaded.file));
+      Object.assign(
+        parsed,
+        configValues(shared, command, loaded.file, base),
+        configValues(commands[command] || {}, command, loaded.file, base)
+      );
+      parsed.configFile = loaded.file;
+    }
+  }
+  
+  Object.assign(parsed, given);
+  
+  for (const option of OPTIONS.filter(candidate => candidate.choices)) {
+    const value = parsed[optionKey(option)];
+    if (value !== null && !option.choices.includes(value)) {
+      throw new Error(`Invalid value "${value}" for --${option.name}. Valid values: ${option.choices.join(', ')}`);
+    }
+  }
+  
+  // Positional files come first, later --file options take precedence;
+  // either replaces the files from the config
+  const layered = FILE_COMMANDS.includes(command) ? inputs.concat(given.file || []) : [];
+  const files = layered.length > 0 ? layered : parsed.file;
+  if (command === 'scan') {
+    // Scan compares with every file given, null meaning .env and .env.example
+    parsed.file = files.length > 0 ? files : null;
+  } else {
+    parsed.file = files.length > 1 ? files : files[0] || '.env';
+  }
+  
+  if (Array.isArray(parsed.prefix)) {
+    parsed.prefix = parsed.prefix.length > 1 ? parsed.prefix : parsed.prefix[0] || null;
+  }
+  
+  if (command === 'example') {
+    parsed.generateExample = true;
+  }
+  
+  return parsed;
+}
+
+/**
+ * Wrap words into lines of at most width characters
+ * @param {string[]} words - Words to wrap
+ * @param {number} width - Line width
+ * @returns {string[]} Lines
+ */
+function wrap(words, width) {
+  const lines = [''];
+  
+  for (const word of words) {
+    const last = lines[lines.length - 1];
+    if (last && last.length + word.length + 1 > width) {
+      lines.push(word);
+    } else {
+      lines[lines.length - 1] = last ? `${last} ${word}` : word;
+    }
+  }
+  
+  return lines;
+}
+
+/**
+ * Format the option list for a command
+ * @param {string} command - Command name
+ * @returns {string} One or more lines per option
+ */
+function formatOptions(command) {
+  const lines = [];
+  
+  for (const option of OPTIONS.filter(o => appliesTo(o, command))) {
+    let flag = option.alias ? `-${option.alias}, --${option.name}` : `--${option.name}`;
+    if (option.value) {
+      flag += option.optional !== undefined ? `[=${option.value}]` : `=${option.value}`;
+    }
+    if (option.negate && option.type === 'boolean') {
+      flag += `, --no-${option.name}`;
+    }
+    
+    const description = (option.descriptions || {})[command] || option.description;
+    lines.push(`  ${flag.length < 26 ? flag.padEnd(26) : `${flag} `}${description}`);
+    if (option.name === 'format') {
+      // The format list grows with plugins, so it is built at runtime
+      const formats = (COMMANDS[command].formats || SUPPORTED_FORMATS).map(f => `${f},`);
+      formats[formats.length - 1] = formats[formats.length - 1].replace(/,$/, '');
+      for (const line of wrap(formats, 56)) {
+        lines.push(`${' '.repeat(28)}${line}`);
+      }
+    }
+  }
+  
+  return lines.join('\n');
+}
+
+/**
+ * Display help for a command
+ * @param {string} command - Command name (default: convert, which also lists the commands)
+ */
+function showHelp(command = 'convert') {
+  const spec = COMMANDS[command];
+  const sections = [];
+  
+  if (command === 'convert') {
+    const width = Math.max(...Object.keys(COMMANDS).map(name => name.length)) + 2;
+    sections.push('env-to-json - Convert .env files to JSON/YAML');
+    sections.push(`Usage:\n  env-to-json [convert] ${spec.usage}\n  env-to-json <command> [options]`);
+    sections.push(`Commands:\n${Object.entries(COMMANDS)
+      .map(([name, { description }]) => `  ${name.padEnd(width)}${description}`)
+      .join('\n')}`);
+  } else {
+    sections.push(`env-to-json ${command} - ${spec.description}`);
+    sections.push(`Usage:\n  env-to-json ${command} ${spec.usage}`);
+  }
+  
+  sections.push(`Options:\n${formatOptions(command)}`);
+  sections.push(`Examples:\n${spec.examples.map(example => `  ${example}`).join('\n')}`);
+  if (spec.notes) {
+    sections.push(spec.notes);
+  }
+  if (command === 'convert') {
+    sections.push('Run env-to-json <command> --help for the options of a command.\n' +
+      'Plugins are paths (relative to the working directory) or package names.\n' +
+      'Pass - as the file to read stdin, and --output=- to write to stdout.\n' +
+      'Defaults can be set in .env2jsonrc, env2json.config.js or the "env2json" key of package.json.');
+  }
+  
+  console.log(`\n${sections.join('\n\n')}\n`);
+}
+
+module.exports = {
+  COMMANDS,
+  OPTIONS,
+  splitList,
+  configValues,
+  parseArgs,
+  showHelp
+};
@@ -0,0 +1,253 @@
+const fs = require('fs');
+const path = require('path');
+const { convertEnv } = require('./index');
+const { readConfigFile } = require('./config');
+const { compilePattern } = require('./filters');
+const { configValues } = require('./args');
+const { loadPlugins } = require('./plugins');
+
+/**
+ * Placeholders available in output templates
+ */
+const TEMPLATE_VARIABLES = ['dir', 'package', 'name', 'mode', 'format'];
+
+/**
+ * Matched files that are never converted: examples and encryption keys
+ */
+const SKIPPED_FILES = /\.(example|key)$/;
+
+/**
+ * Find the files matching a glob
+ *
+ * * and ? match within one path segment and skip dot files unless the
+ * segment starts with a dot; ** matches any number of directories, except
+ * node_modules and dot directories.
+ * @param {string} pattern - Glob such as apps/web/.env.*
+ * @param {string} base - Directory relative patterns start from
+ * @returns {string[]} Matching files relative to base, sorted
+ */
+function expandGlob(pattern, base = '.') {
+  const absolute = path.isAbsolute(pattern);
+  const root = absolute ? path.parse(pattern).root : base;
+  const segments = pattern.split(/[\\/]/).filter(segment => segment && segment !== '.');
+  const matches = [];
+  
+  const isDirectory = dir => {
+    try {
+      return fs.statSync(path.join(root, dir)).isDirectory();
+    } catch (error) {
+      return false;
+    }
+  };
+  
+  const visit = (dir, index) => {
+    if (index === segments.length) {
+      if (fs.existsSync(path.join(root, dir)) && fs.statSync(path.join(root, dir)).isFile()) {
+        matches.push(dir);
+      }
+      return;
+    }
+    
+    const segment = segments[index];
+    if (!/[*?]/.test(segment)) {
+      visit(path.posix.join(dir, segment), index + 1);
+      return;
+    }
+    if (!isDirectory(dir)) {
+      return;
+    }
+    
+    const entries = fs.readdirSync(path.join(root, dir), { withFileTypes: true });
+    if (segment === '**') {
+      visit(dir, index + 1);
+      for (const entry of entries) {
+        if (entry.isDirectory() && !entry.name.startsWith('.') && entry.name !== 'node_modules') {
+          visit(path.posix.join(dir, entry.name), index);
+        }
+      }
+      return;
+    }
+    
+    const match = compilePattern(segment);
+    for (const entry of entries) {
+      if ((!entry.name.startsWith('.') || segment.startsWith('.')) && match(entry.name)) {
+        visit(path.posix.join(dir, entry.name), index + 1);
+      }
+    }
+  };
+  
+  visit('', 0);
+  return [...new Set(matches)].sort().map(match => (absolute ? path.join(root, match) : match));
+}
+
+/**
+ * Fill in an output template
+ * @param {string} template - Template such as {dir}/config.{mode}.json
+ * @param {Object} variables - Values keyed by placeholder name
+ * @returns {string} Output path
+ */
+function renderTemplate(template, variables) {
+  return template.replace(/\{([^{}]*)\}/g, (match, name) => {
+    if (!TEMPLATE_VARIABLES.includes(name)) {
+      throw new Error(`Unknown placeholder ${match} in output template. Placeholders: ${TEMPLATE_VARIABLES.map(v => `{${v}}`).join(', ')}`);
+    }
+    return variables[name];
+  });
+}
+
+/**
+ * Work out the template variables for an env file
+ * @param {string} file - Env file relative to the manifest
+ * @param {Object} options - Conversion options of the entry
+ * @param {string} base - Directory of the manifest
+ * @returns {Object} Values keyed by placeholder name
+ */
+function templateVariables(file, options, base) {
+  const dir = path.posix.dirname(file.split(path.sep).join('/'));
+  const name = path.basename(file);
+  const suffix = /^\.env\.(.+)$/.exec(name);
+  
+  return {
+    dir,
+    package: path.basename(path.resolve(base, dir)),
+    name,
+    mode: options.mode || (suffix ? suffix[1] : 'default'),
+    format: options.format || 'json'
+  };
+}
+
+/**
+ * Read a batch manifest
+ *
+ * A manifest is JSON, YAML or a JS module with an entries list and
+ * optional defaults. Each entry names env files with file (a path, glob
+ * or list of them) and where to write them with an output template; any
+ * other key is a convert option, e.g. format, prefix or redact.
+ * @param {string} file - Manifest path
+ * @returns {Object} Defaults and entries
+ */
+function loadManifest(file) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`Manifest not found: ${file}`);
+  }
+  
+  const manifest = readConfigFile(file);
+  const { defaults = {}, entries } = manifest;
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error(`Invalid manifest ${file}: expected a list of entries`);
+  }
+  
+  return { file, defaults, entries };
+}
+
+/**
+ * Convert many env files at once
+ *
+ * Every entry is expanded to the files its globs match and each file is
+ * converted on its own, so one failure does not stop the rest. Options
+ * are layered: options, the manifest defaults, then the entry. Plugins
+ * named in the manifest are loaded relative to it before converting.
+ * @param {Object} options - Batch options
+ * @param {string} options.manifest - Manifest file; its paths are relative to its directory
+ * @param {Object[]} options.entries - Entries to use instead of a manifest, relative to the working directory
+ * @param {Object} options.defaults - Convert options for every entry
+ * @param {string} options.output - Output template for entries without one
+ * @returns {Object} Results per file, with the succeeded and failed counts
+ */
+function batchConvert(options = {}) {
+  const { manifest = null, output = null } = options;
+  const loaded = manifest
+    ? loadManifest(manifest)
+    : { file: 'batch', defaults: {}, entries: options.entries || [] };
+  const base = manifest ? path.dirname(manifest) : '.';
+  const inBase = file => (path.isAbsolute(file) ? file : path.join(base, file));
+  const defaults = { ...(options.defaults || {}), ...configValues(loaded.defaults, 'batch', loaded.file, base) };
+  const results = [];
+  const outputs = {};
+  
+  loaded.entries.forEach((entry, index) => {
+    const label = `entry ${index + 1}`;
+    const { file, output: template = output, ...rest } = entry || {};
+    const patterns = [].concat(file || []);
+    
+    let conversion;
+    try {
+      if (patterns.length === 0) {
+        throw new Error(`${label} of ${loaded.file} has no file`);
+      }
+      if (!template) {
+        throw new Error(`No output template for ${patterns.join(', ')}: set output in the entry or pass --output`);
+      }
+      conversion = { ...defaults, ...configValues(rest, 'batch', `${label} of ${loaded.file}`, base) };
+      loadPlugins(conversion.plugins);
+    } catch (error) {
+      results.push({ file: patterns.join(', ') || label, success: false, error: error.message });
+      return;
+    }
+    
+    for (const pattern of patterns) {
+      const files = expandGlob(pattern, base).filter(match => !SKIPPED_FILES.test(match));
+      if (files.length === 0) {
+        results.push({ file: inBase(pattern), success: false, error: `No env files match ${pattern}` });
+        continue;
+      }
+      
+      for (const match of files) {
+        const envFile = inBase(match);
+        let target;
+        try {
+          target = inBase(renderTemplate(template, templateVariables(match, conversion, base)));
+        } catch (error) {
+          results.push({ file: envFile, success: false, error: error.message });
+          continue;
+        }
+        
+        // Two files rendering the same output would silently overwrite each other
+        if (outputs[target]) {
+          results.push({ file: envFile, output: target, success: false, error: `${target} is also written for ${outputs[target]}` });
+          continue;
+        }
+        outputs[target] = envFile;
+        
+        const result = convertEnv({ ...conversion, file: envFile, output: target, generateExample: false });
+        results.push({
+          file: envFile,
+          output: target,
+          success: result.success,
+          error: result.error,
+          code: result.code,
+          warnings: result.warnings || []
+        });
+      }
+    }
+  });
+  
+  return {
+    results,
+    succeeded: results.filter(result => result.success).length,
+    failed: results.filter(result => !result.success).length
+  };
+}
+
+/**
+ * Format batch results as one line per file and a summary
+ * @param {Object} batch - Result from batchConvert
+ * @returns {string} Report
+ */
+function formatBatch(batch) {
+  const lines = batch.results.map(result => (result.success
+    ? `${result.file} -> ${result.output}`
+    : `${result.file}: failed: ${result.error}`));
+  
+  lines.push(`${batch.results.length} file(s): ${batch.succeeded} converted, ${batch.failed} failed`);
+  return lines.join('\n');
+}
+
+module.exports = {
+  TEMPLATE_VARIABLES,
+  expandGlob,
+  renderTemplate,
+  loadManifest,
+  batchConvert,
+  formatBatch
+};
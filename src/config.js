@@ -0,0 +1,87 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { readFile } = require('./utils');
+
+/**
+ * Config files looked for in the working directory, in order
+ */
+const CONFIG_FILES = ['.env2jsonrc', '.env2jsonrc.json', '.env2jsonrc.yaml', '.env2jsonrc.yml', 'env2json.config.js'];
+
+/**
+ * package.json key holding the config
+ */
+const PACKAGE_KEY = 'env2json';
+
+/**
+ * Read a config file
+ *
+ * .env2jsonrc files may be JSON or YAML, env2json.config.js exports the
+ * config object and package.json keeps it under the "env2json" key.
+ * @param {string} file - Config file path
+ * @returns {Object|null} Config, or null for a package.json without the key
+ */
+function readConfigFile(file) {
+  let config;
+  
+  try {
+    if (/\.(c?js)$/.test(file)) {
+      config = require(path.resolve(file));
+    } else if (path.basename(file) === 'package.json') {
+      config = JSON.parse(readFile(file))[PACKAGE_KEY];
+      if (config === undefined) {
+        return null;
+      }
+    } else {
+      config = yaml.load(readFile(file));
+    }
+  } catch (error) {
+    throw new Error(`Invalid config file ${file}: ${error.message}`);
+  }
+  
+  if (config === null || config === undefined) {
+    return {};
+  }
+  if (typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`Invalid config file ${file}: expected an object of options`);
+  }
+  
+  return config;
+}
+
+/**
+ * Find and read the project config
+ * @param {Object} options - Lookup options
+ * @param {string} options.file - Config file to use instead of searching
+ * @param {string} options.cwd - Directory to search (default: process.cwd())
+ * @returns {Object|null} The config and the file it came from, or null when there is none
+ */
+function loadConfig(options = {}) {
+  const { file = null, cwd = process.cwd() } = options;
+  
+  if (file) {
+    if (!fs.existsSync(file)) {
+      throw new Error(`Config file not found: ${file}`);
+    }
+    return { file, config: readConfigFile(file) || {} };
+  }
+  
+  for (const name of [...CONFIG_FILES, 'package.json']) {
+    const candidate = path.join(cwd, name);
+    if (fs.existsSync(candidate)) {
+      const config = readConfigFile(candidate);
+      if (config) {
+        return { file: candidate, config };
+      }
+    }
+  }
+  
+  return null;
+}
+
+module.exports = {
+  CONFIG_FILES,
+  PACKAGE_KEY,
+  readConfigFile,
+  loadConfig
+};
@@ -0,0 +1,223 @@
+const path = require('path');
+const { maskSecrets } = require('./utils');
+const { maskValue, MASK_STYLES } = require('./secrets');
+const { loadLayers, resolveLayerFiles } = require('./layers');
+const { DEFAULT_EXAMPLE_REDACT } = require('./example');
+const { isEncrypted, decryptValue, resolveKey } = require('./encryption');
+
+const DIFF_FORMATS = ['text', 'json', 'porcelain'];
+
+/**
+ * Exit codes used by the diff command
+ */
+const DIFF_EXIT_CODES = {
+  identical: 0,
+  error: 1,
+  keys: 2,
+  values: 3
+};
+
+/**
+ * Work out the .env.example path for an env file
+ *
+ * Only the file name is rewritten, so a directory such as .envs/ is kept;
+ * a name without .env gets .example appended.
+ * @param {string} file - Env file path
+ * @returns {string} Example file path
+ */
+function exampleFileFor(file) {
+  const base = path.basename(file);
+  const example = base.includes('.env') ? base.replace(/\.env.*$/, '.env.example') : `${base}.example`;
+  return path.join(path.dirname(file), example);
+}
+
+/**
+ * Compare two env objects
+ * @param {Object} leftEnv - Env to check
+ * @param {Object} rightEnv - Env to compare with
+ * @param {Object} options - Compare options
+ * @param {boolean} options.compareValues - Also report changed values (default: true)
+ * @param {string[]} options.redact - Keys/values to mask in the report
+ * @param {boolean} options.auto - Also mask detected credentials
+ * @param {string} options.maskStyle - Mask style for changed secrets
+ * @param {string} options.maskSalt - Salt for the hash mask style
+ * @param {boolean} options.showValues - Mask only what redact and auto ask for (default: false)
+ * @param {Buffer} options.encryptionKey - Key to decrypt encrypted values with before comparing
+ * @returns {Object} Missing, extra and changed keys, and the encrypted keys that could not be compared
+ */
+function compareEnvs(leftEnv, rightEnv, options = {}) {
+  const {
+    compareValues = true,
+    redact = [],
+    auto = false,
+    maskStyle = 'full',
+    maskSalt = null,
+    showValues = false,
+    encryptionKey = null
+  } = options;
+  if (!MASK_STYLES.includes(maskStyle)) {
+    throw new Error(`Unsupported mask style: ${maskStyle}. Supported styles: ${MASK_STYLES.join(', ')}`);
+  }
+  // Reports end up in CI logs, so common secrets are masked unless asked otherwise
+  const terms = showValues ? redact : [...DEFAULT_EXAMPLE_REDACT, ...redact];
+  const detect = auto || !showValues;
+  const leftMasked = maskSecrets(leftEnv, terms, { auto: detect });
+  const rightMasked = maskSecrets(rightEnv, terms, { auto: detect });
+  
+  const missing = Object.keys(leftEnv).filter(key => !Object.prototype.hasOwnProperty.call(rightEnv, key));
+  const extra = Object.keys(rightEnv).filter(key => !Object.prototype.hasOwnProperty.call(leftEnv, key));
+  const changed = [];
+  const encrypted = [];
+  
+  if (compareValues) {
+    for (const key of Object.keys(leftEnv)) {
+      if (!Object.prototype.hasOwnProperty.call(rightEnv, key) || leftEnv[key] === rightEnv[key]) {
+        continue;
+      }
+      
+      // Each encryption uses a fresh IV, so only the plain values say
+      // whether an encrypted value really changed
+      const sealed = isEncrypted(leftEnv[key]) || isEncrypted(rightEnv[key]);
+      if (sealed && !encryptionKey) {
+        encrypted.push(key);
+        continue;
+      }
+      const left = isEncrypted(leftEnv[key]) ? decryptValue(leftEnv[key], encryptionKey, key) : leftEnv[key];
+      const right = isEncrypted(rightEnv[key]) ? decryptValue(rightEnv[key], encryptionKey, key) : rightEnv[key];
+      if (left === right) {
+        continue;
+      }
+      
+      // A secret on either side hides both values
+      const secret = (sealed && !showValues) || leftMasked[key] !== leftEnv[key] || rightMasked[key] !== rightEnv[key];
+      changed.push({
+        key,
+        left: secret ? maskValue(left, maskStyle, maskSalt) : left,
+        right: secret ? maskValue(right, maskStyle, maskSalt) : right
+      });
+    }
+  }
+  
+  return { missing, extra, changed, encrypted };
+}
+
+/**
+ * Compare two env files, or an env file against its .env.example
+ *
+ * Keys in the first file but not the second are reported as missing, keys
+ * only in the second as extra. Values are compared raw but reported through
+ * maskSecrets, so a changed secret shows up as changed without leaking;
+ * common secret names and detected credentials are always masked unless
+ * showValues is set.
+ * Against an example file only keys are compared, since example values are
+ * placeholders.
+ * @param {Object} options - Diff options
+ * @param {string} options.left - Env file to check
+ * @param {string} options.right - File to compare with (default: the example file)
+ * @param {boolean} options.example - Compare keys only against .env.example
+ * @param {string[]} options.redact - Keys/values to mask in the report
+ * @param {boolean} options.auto - Also mask detected credentials
+ * @param {string} options.maskStyle - Mask style; hash keeps masked values comparable
+ * @param {string} options.maskSalt - Salt for the hash mask style
+ * @param {boolean} options.showValues - Mask only what redact and auto ask for (default: false)
+ * @param {string} options.keyFile - Key file for encrypted values; otherwise ENV2JSON_KEY or .env.key is used
+ * @returns {Object} Missing, extra and changed keys, and the encrypted keys that could not be compared
+ */
+function diffEnv(options = {}) {
+  const {
+    left = '.env',
+    example = false,
+    redact = [],
+    auto = false,
+    maskStyle = 'full',
+    maskSalt = null,
+    showValues = false,
+    keyFile = null
+  } = options;
+  const right = options.right || exampleFileFor(left);
+  const compareValues = !example && options.right !== undefined;
+  
+  const leftEnv = loadLayers(resolveLayerFiles({ file: left })).env;
+  const rightEnv = loadLayers(resolveLayerFiles({ file: right })).env;
+  const sealed = [leftEnv, rightEnv].some(env => Object.values(env).some(isEncrypted));
+  const encryptionKey = compareValues && sealed ? resolveKey({ keyFile }) : null;
+  const { missing, extra, changed, encrypted } = compareEnvs(leftEnv, rightEnv,
+    { compareValues, redact, auto, maskStyle, maskSalt, showValues, encryptionKey });
+  
+  return {
+    left,
+    right,
+    missing,
+    extra,
+    changed,
+    encrypted,
+    identical: missing.length === 0 && extra.length === 0 && changed.length === 0
+  };
+}
+
+/**
+ * Pick the exit code describing a diff
+ * @param {Object} diff - Result from diffEnv
+ * @returns {number} 0 identical, 2 keys differ, 3 only values differ
+ */
+function diffExitCode(diff) {
+  if (diff.missing.length > 0 || diff.extra.length > 0) return DIFF_EXIT_CODES.keys;
+  if (diff.changed.length > 0) return DIFF_EXIT_CODES.values;
+  return DIFF_EXIT_CODES.identical;
+}
+
+/**
+ * Format a diff for output
+ * @param {Object} diff - Result from diffEnv
+ * @param {string} format - Output format (text, json, porcelain)
+ * @returns {string} Formatted diff
+ */
+function formatDiff(diff, format = 'text') {
+  switch (format) {
+    case 'json':
+      return JSON.stringify(diff, null, 2);
+    
+    case 'porcelain':
+      // One tab-separated record per line, stable for scripts
+      return [
+        ...diff.missing.map(key => `missing\t${key}`),
+        ...diff.extra.map(key => `extra\t${key}`),
+        ...diff.changed.map(change => `changed\t${change.key}`),
+        ...diff.encrypted.map(key => `encrypted\t${key}`)
+      ].join('\n');
+    
+    case 'text': {
+      if (diff.identical && diff.encrypted.length === 0) {
+        return `${diff.left} and ${diff.right} are in sync`;
+      }
+      
+      const lines = [];
+      for (const key of diff.missing) {
+        lines.push(`- ${key}  (missing from ${diff.right})`);
+      }
+      for (const key of diff.extra) {
+        lines.push(`+ ${key}  (only in ${diff.right})`);
+      }
+      for (const change of diff.changed) {
+        lines.push(`~ ${change.key}  ${change.left} -> ${change.right}`);
+      }
+      for (const key of diff.encrypted) {
+        lines.push(`? ${key}  (encrypted, not compared: no key available)`);
+      }
+      return lines.join('\n');
+    }
+    
+    default:
+      throw new Error(`Unsupported diff format: ${format}. Supported formats: ${DIFF_FORMATS.join(', ')}`);
+  }
+}
+
+module.exports = {
+  DIFF_FORMATS,
+  DIFF_EXIT_CODES,
+  compareEnvs,
+  diffEnv,
+  diffExitCode,
+  formatDiff,
+  exampleFileFor
+};
@@ -0,0 +1,186 @@
+const { readFile, writeFile, fileExists } = require('./utils');
+const { parseDocument, stringifyDocument, KEY_PATTERN } = require('./parser');
+const { expandEnv } = require('./expand');
+const { decryptEnv } = require('./encryption');
+const { quoteValue } = require('./reverse');
+
+/**
+ * Read the env file, or start an empty one
+ * @param {string} file - Env file path
+ * @param {boolean} create - Treat a missing file as empty
+ * @returns {string} File content
+ */
+function readOrCreate(file, create) {
+  if (!fileExists(file)) {
+    if (create) return '';
+    throw new Error(`Environment file not found: ${file}`);
+  }
+  return readFile(file);
+}
+
+/**
+ * Read one value from an env file
+ * @param {Object} options - Options
+ * @param {string} options.file - Env file (default: .env)
+ * @param {string} options.key - Key to read
+ * @param {boolean} options.expand - Decrypt and expand the value as convertEnv would (default: true)
+ * @param {Object|false} options.processEnv - Fallback environment for expansion (default: process.env)
+ * @param {string} options.keyFile - Key file for encrypted values
+ * @returns {string|undefined} Value of the last assignment, or undefined when the key is not set
+ */
+function getEnvValue(options = {}) {
+  const { file = '.env', key, expand = true, processEnv = process.env, keyFile = null } = options;
+  const env = {};
+  const literal = [];
+  
+  for (const token of parseDocument(readOrCreate(file, false)).tokens) {
+    if (token.type === 'entry') {
+      env[token.key] = token.value;
+      if (token.quote === "'") literal.push(token.key);
+    }
+  }
+  
+  if (!Object.prototype.hasOwnProperty.call(env, key)) {
+    return undefined;
+  }
+  if (!expand) {
+    return env[key];
+  }
+  
+  return expandEnv(decryptEnv(env, { keyFile }), { processEnv, literal })[key];
+}
+
+/**
+ * Set values in .env content, leaving every other line byte-identical
+ *
+ * The last assignment of an existing key is updated in place, keeping its
+ * export prefix, spacing and inline comment. New keys are appended.
+ * @param {string} content - .env file content
+ * @param {Object} values - Values keyed by name
+ * @param {Object} options - Options
+ * @param {boolean} options.literal - Write values so $VAR references are not expanded (default: false)
+ * @returns {Object} New content, with the changed and added keys
+ */
+function setValues(content, values, options = {}) {
+  const { literal = false } = options;
+  const document = parseDocument(content);
+  const last = {};
+  const changed = [];
+  const added = [];
+  
+  for (const key of Object.keys(values)) {
+    if (!KEY_PATTERN.test(key)) {
+      throw new Error(`Invalid key name "${key}"`);
+    }
+  }
+  
+  document.tokens.forEach((token, index) => {
+    if (token.type === 'entry') last[token.key] = index;
+  });
+  
+  const tokens = document.tokens.map((token, index) => {
+    if (token.type !== 'entry' || last[token.key] !== index || !Object.prototype.hasOwnProperty.call(values, token.key)) {
+      return token;
+    }
+    
+    const value = String(values[token.key]);
+    const text = quoteValue(value, { quote: token.quote, literal });
+    if (text === token.rawValue) {
+      return token;
+    }
+    
+    changed.push(token.key);
+    const start = token.valueColumn - 1;
+    return { ...token, raw: token.raw.slice(0, start) + text + token.raw.slice(start + token.rawValue.length) };
+  });
+  
+  const appended = Object.keys(values).filter(key => last[key] === undefined);
+  if (appended.length > 0) {
+    const lastToken = tokens[tokens.length - 1];
+    // Keep a missing final newline missing, but separate the new lines
+    const finalNewline = !lastToken || lastToken.eol !== '';
+    if (lastToken && !finalNewline) {
+      tokens[tokens.length - 1] = { ...lastToken, eol: document.eol };
+    }
+    appended.forEach((key, index) => {
+      const eol = finalNewline || index < appended.length - 1 ? document.eol : '';
+      tokens.push({ type: 'entry', key, raw: `${key}=${quoteValue(String(values[key]), { literal })}`, eol });
+      added.push(key);
+    });
+  }
+  
+  return { content: stringifyDocument({ ...document, tokens }), changed, added };
+}
+
+/**
+ * Remove every assignment of the given keys, leaving other lines byte-identical
+ * @param {string} content - .env file content
+ * @param {string[]} keys - Keys to remove
+ * @returns {Object} New content, with the removed and missing keys
+ */
+function unsetKeys(content, keys) {
+  const document = parseDocument(content);
+  const removed = new Set();
+  
+  const tokens = document.tokens.filter(token => {
+    if (token.type === 'entry' && keys.includes(token.key)) {
+      removed.add(token.key);
+      return false;
+    }
+    return true;
+  });
+  
+  return {
+    content: stringifyDocument({ ...document, tokens }),
+    removed: [...removed],
+    missing: keys.filter(key => !removed.has(key))
+  };
+}
+
+/**
+ * Set values in an env file in place
+ * @param {Object} options - Options
+ * @param {string} options.file - Env file, created if missing (default: .env)
+ * @param {Object} options.values - Values keyed by name
+ * @param {boolean} options.literal - Write values so $VAR references are not expanded (default: false)
+ * @returns {Object} Result with the changed and added keys
+ */
+function setEnvValues(options = {}) {
+  const { file = '.env', values = {}, literal = false } = options;
+  const content = readOrCreate(file, true);
+  const result = setValues(content, values, { literal });
+  
+  if (result.content !== content || !fileExists(file)) {
+    writeFile(file, result.content);
+  }
+  
+  return { file, changed: result.changed, added: result.added };
+}
+
+/**
+ * Remove keys from an env file in place
+ * @param {Object} options - Options
+ * @param {string} options.file - Env file (default: .env)
+ * @param {string[]} options.keys - Keys to remove
+ * @returns {Object} Result with the removed keys and those that were not set
+ */
+function unsetEnvKeys(options = {}) {
+  const { file = '.env', keys = [] } = options;
+  const content = readOrCreate(file, false);
+  const result = unsetKeys(content, keys);
+  
+  if (result.removed.length > 0) {
+    writeFile(file, result.content);
+  }
+  
+  return { file, removed: result.removed, missing: result.missing };
+}
+
+module.exports = {
+  quoteValue,
+  setValues,
+  unsetKeys,
+  getEnvValue,
+  setEnvValues,
+  unsetEnvKeys
+};
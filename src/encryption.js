@@ -0,0 +1,367 @@
+const crypto = require('crypto');
+const { readFile, writeFile, fileExists } = require('./utils');
+const { rewriteEntries } = require('./parser');
+const { quoteValue } = require('./reverse');
+const { compilePattern } = require('./filters');
+const { EnvError, ERROR_CODES } = require('./errors');
+
+const ENCRYPTED_PREFIX = 'enc:v2:';
+// enc:v1: values were encrypted without the variable name; they are still
+// read, and rotate rewrites them as enc:v2:
+const LEGACY_PREFIX = 'enc:v1:';
+const ALGORITHM = 'aes-256-gcm';
+const DEFAULT_KEY_FILE = '.env.key';
+const KEY_ENV_VAR = 'ENV2JSON_KEY';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+/**
+ * Generate a new random encryption key
+ * @returns {string} 32-byte key as hex
+ */
+function generateKey() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Parse a hex or base64 key into a 32-byte buffer
+ * @param {string} text - Key text
+ * @param {string} source - Where the key came from, used in error messages
+ * @returns {Buffer} Key
+ */
+function parseKey(text, source = 'key') {
+  const trimmed = String(text).trim();
+  const key = /^[0-9a-f]{64}$/i.test(trimmed)
+    ? Buffer.from(trimmed, 'hex')
+    : Buffer.from(trimmed, 'base64');
+  
+  if (key.length !== 32) {
+    throw new Error(`Invalid encryption key in ${source}: expected 32 bytes as hex or base64`);
+  }
+  
+  return key;
+}
+
+/**
+ * Find the encryption key
+ *
+ * An explicit key file wins, then the ENV2JSON_KEY environment variable,
+ * then a .env.key file in the working directory.
+ * @param {Object} options - Key options
+ * @param {string} options.keyFile - Path to a key file
+ * @param {Object} options.processEnv - Environment to read ENV2JSON_KEY from (default: process.env)
+ * @returns {Buffer|null} Key, or null when none is available
+ */
+function resolveKey(options = {}) {
+  const { keyFile = null, processEnv = process.env } = options;
+  
+  if (keyFile) {
+    if (!fileExists(keyFile)) {
+      throw new Error(`Key file not found: ${keyFile}`);
+    }
+    return parseKey(readFile(keyFile), keyFile);
+  }
+  
+  if (processEnv && processEnv[KEY_ENV_VAR]) {
+    return parseKey(processEnv[KEY_ENV_VAR], KEY_ENV_VAR);
+  }
+  
+  if (fileExists(DEFAULT_KEY_FILE)) {
+    return parseKey(readFile(DEFAULT_KEY_FILE), DEFAULT_KEY_FILE);
+  }
+  
+  return null;
+}
+
+/**
+ * Check whether a value is encrypted
+ * @param {string} value - Value to check
+ * @returns {boolean} True for enc:v2: and enc:v1: values
+ */
+function isEncrypted(value) {
+  return typeof value === 'string' && (value.startsWith(ENCRYPTED_PREFIX) || value.startsWith(LEGACY_PREFIX));
+}
+
+/**
+ * Check that a variable name was given to encryptValue or decryptValue
+ * @param {string} name - Variable name
+ * @param {string} caller - Function name, used in the error message
+ */
+function requireName(name, caller) {
+  if (typeof name !== 'string' || name === '') {
+    throw new EnvError(ERROR_CODES.INVALID_INPUT,
+      `${caller} requires the variable name as its third argument, since encrypted values are bound to it`);
+  }
+}
+
+/**
+ * Encrypt a value with AES-256-GCM
+ *
+ * The variable name is authenticated along with the value, so an
+ * encrypted value copied to another key no longer decrypts.
+ * @param {string} value - Plain value
+ * @param {Buffer} key - 32-byte key
+ * @param {string} name - Variable name the value belongs to
+ * @returns {string} enc:v2:<iv>:<tag>:<ciphertext>, base64 encoded
+ */
+function encryptValue(value, key, name) {
+  requireName(name, 'encryptValue');
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv, { authTagLength: TAG_LENGTH });
+  cipher.setAAD(Buffer.from(name, 'utf8'));
+  const ciphertext = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+  
+  return `${ENCRYPTED_PREFIX}${iv.toString('base64')}:${tag.toString('base64')}:${ciphertext.toString('base64')}`;
+}
+
+/**
+ * Decrypt an enc:v2: value, or an enc:v1: value, which is not bound to
+ * its variable name
+ * @param {string} value - Encrypted value
+ * @param {Buffer} key - 32-byte key
+ * @param {string} name - Variable name the value was encrypted for
+ * @returns {string} Plain value
+ */
+function decryptValue(value, key, name) {
+  requireName(name, 'decryptValue');
+  const legacy = value.startsWith(LEGACY_PREFIX);
+  const parts = value.slice((legacy ? LEGACY_PREFIX : ENCRYPTED_PREFIX).length).split(':');
+  const [iv, tag, ciphertext] = parts.map(part => Buffer.from(part, 'base64'));
+  // A shortened tag is easier to forge, so only full-length ones are accepted
+  if (parts.length !== 3 || iv.length !== IV_LENGTH || tag.length !== TAG_LENGTH) {
+    throw new EnvError(ERROR_CODES.DECRYPTION_ERROR, `Malformed encrypted value in ${name}`, { key: name });
+  }
+  
+  try {
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, iv, { authTagLength: TAG_LENGTH });
+    if (!legacy) {
+      decipher.setAAD(Buffer.from(name, 'utf8'));
+    }
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+  } catch (error) {
+    throw new EnvError(ERROR_CODES.DECRYPTION_ERROR, `Failed to decrypt ${name}: wrong key or corrupted value`, { key: name });
+  }
+}
+
+/**
+ * Decrypt every encrypted value in an env object
+ * @param {Object} env - Environment variables object
+ * @param {Object} options - Key options passed to resolveKey
+ * @returns {Object} Environment variables with plain values
+ */
+function decryptEnv(env, options = {}) {
+  const encrypted = Object.keys(env).filter(key => isEncrypted(env[key]));
+  if (encrypted.length === 0) {
+    return env;
+  }
+  
+  const key = options.key || resolveKey(options);
+  if (!key) {
+    throw new EnvError(ERROR_CODES.DECRYPTION_ERROR,
+      `Encrypted values found (${encrypted.join(', ')}) but no key is available. ` +
+      `Set ${KEY_ENV_VAR}, pass --key-file or create ${DEFAULT_KEY_FILE}`, { key: encrypted[0] });
+  }
+  
+  const decrypted = { ...env };
+  for (const name of encrypted) {
+    decrypted[name] = decryptValue(env[name], key, name);
+  }
+  
+  return decrypted;
+}
+
+/**
+ * Render an entry with a new value, keeping export and inline comment
+ * @param {Object} token - Entry token
+ * @param {string} value - Value text to write after =
+ * @returns {string} Entry line
+ */
+function renderEntry(token, value) {
+  const prefix = token.exported ? 'export ' : '';
+  const comment = token.comment !== null ? ` #${token.comment}` : '';
+  return `${prefix}${token.key}=${value}${comment}`;
+}
+
+/**
+ * Wrap an encrypted value in the quotes the plain value had
+ *
+ * Single quotes mark the value literal, so after decryption it is still
+ * not expanded.
+ * @param {Object} token - Entry token
+ * @param {string} value - Encrypted value
+ * @returns {string} Value text
+ */
+function quoteEncrypted(token, value) {
+  return token.quote ? `${token.quote}${value}${token.quote}` : value;
+}
+
+/**
+ * Build a predicate choosing which keys to encrypt
+ * @param {string[]} include - Key patterns to encrypt (default: all)
+ * @param {string[]} exclude - Key patterns to skip
+ * @returns {Function} Predicate taking a key
+ */
+function keySelector(include = [], exclude = []) {
+  const included = include.map(compilePattern);
+  const excluded = exclude.map(compilePattern);
+  return key => (included.length === 0 || included.some(match => match(key))) &&
+    !excluded.some(match => match(key));
+}
+
+/**
+ * Encrypt values in .env content in place
+ *
+ * Empty and already encrypted values are left alone, as are all comments,
+ * blank lines and unselected entries.
+ * @param {string} content - .env file content
+ * @param {Buffer} key - 32-byte key
+ * @param {Object} options - Selection options
+ * @param {string[]} options.include - Key patterns to encrypt (default: all)
+ * @param {string[]} options.exclude - Key patterns to skip
+ * @returns {Object} New content and the keys that were encrypted
+ */
+function encryptContent(content, key, options = {}) {
+  const selected = keySelector(options.include, options.exclude);
+  const changed = [];
+  
+  const result = rewriteEntries(content, token => {
+    if (!selected(token.key) || token.value === '' || isEncrypted(token.value)) {
+      return undefined;
+    }
+    changed.push(token.key);
+    return renderEntry(token, quoteEncrypted(token, encryptValue(token.value, key, token.key)));
+  });
+  
+  return { content: result, keys: changed };
+}
+
+/**
+ * Decrypt values in .env content in place
+ * @param {string} content - .env file content
+ * @param {Buffer} key - 32-byte key
+ * @returns {Object} New content and the keys that were decrypted
+ */
+function decryptContent(content, key) {
+  const changed = [];
+  
+  const result = rewriteEntries(content, token => {
+    if (!isEncrypted(token.value)) {
+      return undefined;
+    }
+    changed.push(token.key);
+    // Restore the quoting the value was encrypted with, so it expands as it did before
+    const plain = decryptValue(token.value, key, token.key);
+    return renderEntry(token, quoteValue(plain, { quote: token.quote, literal: token.quote === "'" }));
+  });
+  
+  return { content: result, keys: changed };
+}
+
+/**
+ * Re-encrypt values in .env content with a new key
+ * @param {string} content - .env file content
+ * @param {Buffer} oldKey - Current key
+ * @param {Buffer} newKey - Replacement key
+ * @returns {Object} New content and the keys that were re-encrypted
+ */
+function rotateContent(content, oldKey, newKey) {
+  const changed = [];
+  
+  const result = rewriteEntries(content, token => {
+    if (!isEncrypted(token.value)) {
+      return undefined;
+    }
+    changed.push(token.key);
+    return renderEntry(token, quoteEncrypted(token, encryptValue(decryptValue(token.value, oldKey, token.key), newKey, token.key)));
+  });
+  
+  return { content: result, keys: changed };
+}
+
+/**
+ * Encrypt, decrypt or rotate an env file in place
+ * @param {Object} options - Options
+ * @param {string} options.action - encrypt, decrypt or rotate
+ * @param {string} options.file - Env file (default: .env)
+ * @param {string} options.output - Write here instead of overwriting the file
+ * @param {string} options.keyFile - Key file for the current key
+ * @param {string} options.newKeyFile - Key file for the new key (rotate only)
+ * @param {string[]} options.include - Key patterns to encrypt (default: all)
+ * @param {string[]} options.exclude - Key patterns to skip when encrypting
+ * @returns {Object} Result object with success status and message/error
+ */
+function cryptFile(options = {}) {
+  const { action, file = '.env', output = null, keyFile = null, newKeyFile = null } = options;
+  
+  try {
+    if (!fileExists(file)) {
+      return {
+        success: false,
+        error: `Environment file not found: ${file}`
+      };
+    }
+    
+    const key = resolveKey({ keyFile });
+    if (!key) {
+      return {
+        success: false,
+        error: `No encryption key available. Set ${KEY_ENV_VAR}, pass --key-file or run "env2json-cli keygen"`
+      };
+    }
+    
+    const content = readFile(file);
+    let result;
+    
+    if (action === 'encrypt') {
+      result = encryptContent(content, key, options);
+    } else if (action === 'decrypt') {
+      result = decryptContent(content, key);
+    } else if (action === 'rotate') {
+      if (!newKeyFile) {
+        return {
+          success: false,
+          error: 'Key rotation requires --new-key-file'
+        };
+      }
+      result = rotateContent(content, key, resolveKey({ keyFile: newKeyFile }));
+    } else {
+      throw new Error(`Unknown action: ${action}`);
+    }
+    
+    const target = output || file;
+    const verb = { encrypt: 'Encrypted', decrypt: 'Decrypted', rotate: 'Re-encrypted' }[action];
+    writeFile(target, result.content);
+    return {
+      success: true,
+      message: `${verb} ${result.keys.length} value(s) in ${target}`,
+      data: result.content,
+      keys: result.keys
+    };
+  
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+module.exports = {
+  ENCRYPTED_PREFIX,
+  LEGACY_PREFIX,
+  DEFAULT_KEY_FILE,
+  KEY_ENV_VAR,
+  generateKey,
+  parseKey,
+  resolveKey,
+  isEncrypted,
+  encryptValue,
+  decryptValue,
+  decryptEnv,
+  encryptContent,
+  decryptContent,
+  rotateContent,
+  cryptFile
+};
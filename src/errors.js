@@ -0,0 +1,41 @@
+/**
+ * Codes carried by EnvError
+ */
+const ERROR_CODES = {
+  ENV_FILE_NOT_FOUND: 'ENV_FILE_NOT_FOUND',
+  FILTER_INVALID: 'FILTER_INVALID',
+  PARSE_ERROR: 'PARSE_ERROR',
+  EXPANSION_ERROR: 'EXPANSION_ERROR',
+  DECRYPTION_ERROR: 'DECRYPTION_ERROR',
+  SCHEMA_INVALID: 'SCHEMA_INVALID',
+  UNSUPPORTED_FORMAT: 'UNSUPPORTED_FORMAT',
+  INVALID_INPUT: 'INVALID_INPUT'
+};
+
+/**
+ * Error with a machine-readable code and, where known, the file, line and
+ * key it relates to
+ */
+class EnvError extends Error {
+  /**
+   * @param {string} code - One of ERROR_CODES
+   * @param {string} message - Human-readable message
+   * @param {Object} details - Context: file, line, key, violations
+   */
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'EnvError';
+    this.code = code;
+    this.file = details.file || null;
+    this.line = details.line || null;
+    this.key = details.key || null;
+    if (details.violations) {
+      this.violations = details.violations;
+    }
+  }
+}
+
+module.exports = {
+  ERROR_CODES,
+  EnvError
+};
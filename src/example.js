@@ -0,0 +1,146 @@
+const { maskSecrets } = require('./utils');
+const { tokenize } = require('./parser');
+const { isEncrypted } = require('./encryption');
+
+/**
+ * Redact rules always used for examples, in addition to the given ones
+ */
+const DEFAULT_EXAMPLE_REDACT = ['PASSWORD', 'PASSWD', 'SECRET', 'TOKEN', 'KEY', 'PRIVATE', 'CREDENTIAL', 'AUTH'];
+
+/**
+ * Check whether a variable should be blanked in an example file
+ * @param {string} key - Variable name
+ * @param {string} value - Variable value
+ * @param {string[]} redact - Redact rules
+ * @param {boolean} auto - Also detect credentials automatically
+ * @returns {boolean} True when the value is a secret
+ */
+function isSecret(key, value, redact, auto) {
+  return isEncrypted(value) || maskSecrets({ [key]: value }, redact, { auto })[key] !== value;
+}
+
+/**
+ * Render an entry token for an example file
+ * @param {Object} token - Entry token from tokenize
+ * @param {string[]} redact - Redact rules
+ * @param {boolean} auto - Also detect credentials automatically
+ * @returns {string} Original text, or KEY= for secrets
+ */
+function renderEntry(token, redact, auto) {
+  if (!isSecret(token.key, token.value, redact, auto)) {
+    return token.raw;
+  }
+  
+  const prefix = token.exported ? 'export ' : '';
+  const comment = token.comment !== null ? ` #${token.comment}` : '';
+  return `${prefix}${token.key}=${comment}`;
+}
+
+/**
+ * Generate .env.example file from environment variables
+ *
+ * With the source .env content, comments, blank-line sections and ordering
+ * are preserved and non-secret values are kept as defaults; values matching
+ * the redact rules are blanked. Without it, a sorted list of bare keys is
+ * produced.
+ * @param {Object} env - Environment variables object
+ * @param {Object} options - Example options
+ * @param {string} options.source - Source .env content
+ * @param {string[]} options.redact - Rules for values to blank, besides common secret names
+ * @param {boolean} options.auto - Also blank detected credentials (default: true)
+ * @returns {string} .env.example content
+ */
+function generateExample(env, options = {}) {
+  const { source = null, redact = [], auto = true } = options;
+  
+  if (source === null) {
+    const lines = [];
+    
+    for (const key of Object.keys(env).sort()) {
+      lines.push(`${key}=`);
+    }
+    
+    return lines.join('\n') + '\n';
+  }
+  
+  // The example is committed, so extra rules never drop the defaults
+  const rules = [...DEFAULT_EXAMPLE_REDACT, ...redact];
+  const lines = [];
+  
+  for (const token of tokenize(source)) {
+    if (token.type === 'entry') {
+      lines.push(renderEntry(token, rules, auto));
+    } else if (token.type !== 'invalid') {
+      lines.push(token.raw);
+    }
+  }
+  
+  // Drop trailing blank lines so the file ends with a single newline
+  while (lines.length > 0 && !lines[lines.length - 1].trim()) {
+    lines.pop();
+  }
+  
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Merge keys from a .env file into an existing .env.example
+ *
+ * The existing example is kept byte-for-byte. Keys it lacks are appended
+ * together with the comment lines directly above them in the source, and
+ * keys no longer present in the source are reported but left in place.
+ * @param {string} example - Existing .env.example content
+ * @param {string} source - Source .env content
+ * @param {Object} options - Example options
+ * @param {string[]} options.redact - Rules for values to blank, besides common secret names
+ * @param {boolean} options.auto - Also blank detected credentials (default: true)
+ * @returns {Object} Merged content with added and removed keys
+ */
+function syncExample(example, source, options = {}) {
+  const { redact = [], auto = true } = options;
+  const rules = [...DEFAULT_EXAMPLE_REDACT, ...redact];
+  
+  const exampleKeys = new Set(tokenize(example)
+    .filter(token => token.type === 'entry')
+    .map(token => token.key));
+  const sourceTokens = tokenize(source);
+  const sourceKeys = new Set();
+  
+  const appended = [];
+  const added = [];
+  let comments = [];
+  
+  for (const token of sourceTokens) {
+    if (token.type === 'comment') {
+      comments.push(token.raw);
+      continue;
+    }
+    
+    if (token.type === 'entry') {
+      sourceKeys.add(token.key);
+      if (!exampleKeys.has(token.key) && !added.includes(token.key)) {
+        appended.push(...comments, renderEntry(token, rules, auto));
+        added.push(token.key);
+      }
+    }
+    
+    comments = [];
+  }
+  
+  const removed = [...exampleKeys].filter(key => !sourceKeys.has(key));
+  
+  let content = example;
+  if (appended.length > 0) {
+    if (content && !/\n$/.test(content)) content += '\n';
+    if (content.trim()) content += '\n';
+    content += appended.join('\n') + '\n';
+  }
+  
+  return { content, added, removed };
+}
+
+module.exports = {
+  DEFAULT_EXAMPLE_REDACT,
+  generateExample,
+  syncExample
+};
@@ -0,0 +1,210 @@
+const { EnvError, ERROR_CODES } = require('./errors');
+
+const NAME_START = /[A-Za-z_]/;
+const NAME_CHAR = /[A-Za-z0-9_]/;
+const BRACED_PATTERN = /^([A-Za-z_][A-Za-z0-9_]*)(?:(:?[-?])([\s\S]*))?$/;
+
+/**
+ * Find the closing brace of a ${...} reference, honouring nested references
+ * @param {string} value - Value being expanded
+ * @param {number} start - Index just after the opening brace
+ * @returns {number} Index of the closing brace or -1
+ */
+function findClosingBrace(value, start) {
+  let depth = 1;
+  for (let i = start; i < value.length; i++) {
+    if (value[i] === '\\') {
+      i++;
+    } else if (value[i] === '$' && value[i + 1] === '{') {
+      depth++;
+      i++;
+    } else if (value[i] === '}') {
+      depth--;
+      if (depth === 0) return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Expand references in a single value
+ * @param {string} value - Value to expand
+ * @param {Function} lookup - Resolves a variable name to its value or undefined
+ * @param {string} key - Key the value belongs to, used in error messages
+ * @param {Function} onUnresolved - Called with the name and key of unguarded references that resolve to nothing
+ * @returns {string} Expanded value
+ */
+function interpolate(value, lookup, key, onUnresolved = () => {}) {
+  let result = '';
+  
+  for (let i = 0; i < value.length; i++) {
+    const char = value[i];
+    
+    if (char === '\\' && value[i + 1] === '$') {
+      result += '$';
+      i++;
+      continue;
+    }
+    
+    if (char !== '$') {
+      result += char;
+      continue;
+    }
+    
+    if (value[i + 1] === '{') {
+      const end = findClosingBrace(value, i + 2);
+      if (end === -1) {
+        throw new EnvError(ERROR_CODES.EXPANSION_ERROR, `Unterminated variable reference in ${key}`, { key });
+      }
+      
+      const expression = value.slice(i + 2, end);
+      const match = BRACED_PATTERN.exec(expression);
+      if (!match) {
+        throw new EnvError(ERROR_CODES.EXPANSION_ERROR, `Bad substitution \${${expression}} in ${key}`, { key });
+      }
+      
+      const [, name, operator, word = ''] = match;
+      const current = lookup(name);
+      const missing = operator && operator.startsWith(':')
+        ? current === undefined || current === ''
+        : current === undefined;
+      
+      if (operator && operator.endsWith('-') && missing) {
+        result += interpolate(word, lookup, key, onUnresolved);
+      } else if (operator && operator.endsWith('?') && missing) {
+        const message = word ? interpolate(word, lookup, key) : 'parameter not set';
+        throw new EnvError(ERROR_CODES.EXPANSION_ERROR, `${name} required by ${key}: ${message}`, { key });
+      } else {
+        if (current === undefined) {
+          onUnresolved(name, key);
+        }
+        result += current === undefined ? '' : current;
+      }
+      
+      i = end;
+      continue;
+    }
+    
+    if (NAME_START.test(value[i + 1] || '')) {
+      let end = i + 1;
+      while (end < value.length && NAME_CHAR.test(value[end])) end++;
+      
+      const name = value.slice(i + 1, end);
+      const current = lookup(name);
+      if (current === undefined) {
+        onUnresolved(name, key);
+      }
+      result += current === undefined ? '' : current;
+      i = end - 1;
+      continue;
+    }
+    
+    result += char;
+  }
+  
+  return result;
+}
+
+/**
+ * List the variables a value refers to, without resolving them
+ *
+ * References guarded by a default or an error message, such as
+ * ${VAR:-default} or ${VAR:?message}, are marked as guarded.
+ * @param {string} value - Value to scan
+ * @returns {Object[]} References with name and guarded flag
+ */
+function findReferences(value) {
+  const references = [];
+  
+  for (let i = 0; i < value.length; i++) {
+    if (value[i] === '\\' && value[i + 1] === '$') {
+      i++;
+      continue;
+    }
+    if (value[i] !== '$') {
+      continue;
+    }
+    
+    if (value[i + 1] === '{') {
+      const end = findClosingBrace(value, i + 2);
+      if (end === -1) break;
+      
+      const match = BRACED_PATTERN.exec(value.slice(i + 2, end));
+      if (match) {
+        const [, name, operator, word = ''] = match;
+        references.push({ name, guarded: Boolean(operator) }, ...findReferences(word));
+      }
+      i = end;
+    } else if (NAME_START.test(value[i + 1] || '')) {
+      let end = i + 1;
+      while (end < value.length && NAME_CHAR.test(value[end])) end++;
+      references.push({ name: value.slice(i + 1, end), guarded: false });
+      i = end - 1;
+    }
+  }
+  
+  return references;
+}
+
+/**
+ * Expand $VAR and ${VAR} references between environment variables
+ *
+ * Supports ${VAR:-default}, ${VAR-default}, ${VAR:?error}, ${VAR?error}
+ * and \$ escapes. References are resolved against the env itself first,
+ * then against the fallback environment. A key referencing itself reads
+ * the fallback value, so PATH=$PATH:/bin works as in a shell.
+ * @param {Object} env - Environment variables object
+ * @param {Object} options - Expansion options
+ * @param {Object|false} options.processEnv - Fallback environment (default: process.env)
+ * @param {string[]} options.literal - Keys whose values are not expanded
+ * @param {Function} options.onUnresolved - Called with the name and key of each reference
+ *   that resolves to nothing and so expands to an empty string
+ * @returns {Object} Expanded environment variables
+ */
+function expandEnv(env, options = {}) {
+  const { processEnv = process.env, literal = [], onUnresolved = () => {} } = options;
+  const fallback = processEnv || {};
+  const resolved = {};
+  const stack = [];
+  
+  function lookup(name) {
+    const isSelf = stack[stack.length - 1] === name;
+    if (!isSelf && Object.prototype.hasOwnProperty.call(env, name)) {
+      return resolve(name);
+    }
+    if (Object.prototype.hasOwnProperty.call(fallback, name)) {
+      return fallback[name];
+    }
+    return undefined;
+  }
+  
+  function resolve(key) {
+    if (Object.prototype.hasOwnProperty.call(resolved, key)) {
+      return resolved[key];
+    }
+    
+    if (stack.includes(key)) {
+      const cycle = stack.slice(stack.indexOf(key)).concat(key);
+      throw new EnvError(ERROR_CODES.EXPANSION_ERROR, `Circular variable reference: ${cycle.join(' -> ')}`, { key });
+    }
+    
+    stack.push(key);
+    const value = literal.includes(key) ? env[key] : interpolate(String(env[key]), lookup, key, onUnresolved);
+    stack.pop();
+    
+    resolved[key] = value;
+    return value;
+  }
+  
+  const expanded = {};
+  for (const key of Object.keys(env)) {
+    expanded[key] = resolve(key);
+  }
+  
+  return expanded;
+}
+
+module.exports = {
+  expandEnv,
+  findReferences
+};
@@ -1,18 +1,59 @@
 /**
- * Apply whitelist filter to environment variables
- * @param {Object} env - Environment variables object
- * @param {string[]} whitelist - Array of keys to include
- * @returns {Object} Filtered environment variables
+ * Compile a key pattern into a predicate
+ *
+ * Patterns are exact names (API_KEY), globs (AWS_*, *_URL, DB_?) or
+ * regular expressions written as /pattern/flags.
+ * @param {string} pattern - Pattern to compile
+ * @returns {Function} Predicate taking a string
  */
-function applyWhitelist(env, whitelist) {
+function compilePattern(pattern) {
+    const regexMatch = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+    if (regexMatch) {
+      const regex = new RegExp(regexMatch[1], regexMatch[2]);
+      return text => {
+        regex.lastIndex = 0;
+        return regex.test(text);
+      };
+    }
+    
+    if (/[*?]/.test(pattern)) {
+      const source = pattern
+        .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '.*')
+        .replace(/\?/g, '.');
+      const regex = new RegExp(`^${source}$`);
+      return text => regex.test(text);
+    }
+    
+    return text => text === pattern;
+  }
+  
+  /**
+   * Build a predicate matching any of several patterns
+   * @param {string[]} patterns - Patterns to compile
+   * @returns {Function} Predicate taking a string
+   */
+  function matchAny(patterns) {
+    const predicates = patterns.map(compilePattern);
+    return text => predicates.some(predicate => predicate(text));
+  }
+  
+  /**
+   * Apply whitelist filter to environment variables
+   * @param {Object} env - Environment variables object
+   * @param {string[]} whitelist - Keys or patterns to include
+   * @returns {Object} Filtered environment variables
+   */
+  function applyWhitelist(env, whitelist) {
     if (!whitelist || whitelist.length === 0) {
       return env;
     }
     
+    const matches = matchAny(whitelist);
     const filtered = {};
-    for (const key of whitelist) {
-      if (env.hasOwnProperty(key)) {
-        filtered[key] = env[key];
+    for (const [key, value] of Object.entries(env)) {
+      if (matches(key)) {
+        filtered[key] = value;
       }
     }
     
@@ -22,7 +63,7 @@ function applyWhitelist(env, whitelist) {
   /**
    * Apply exclude filter to environment variables
    * @param {Object} env - Environment variables object
-   * @param {string[]} exclude - Array of keys to exclude
+   * @param {string[]} exclude - Keys or patterns to exclude
    * @returns {Object} Filtered environment variables
    */
   function applyExclude(env, exclude) {
@@ -30,9 +71,12 @@ function applyWhitelist(env, whitelist) {
       return env;
     }
     
-    const filtered = { ...env };
-    for (const key of exclude) {
-      delete filtered[key];
+    const matches = matchAny(exclude);
+    const filtered = {};
+    for (const [key, value] of Object.entries(env)) {
+      if (!matches(key)) {
+        filtered[key] = value;
+      }
     }
     
     return filtered;
@@ -41,17 +85,18 @@ function applyWhitelist(env, whitelist) {
   /**
    * Apply prefix filter to environment variables
    * @param {Object} env - Environment variables object
-   * @param {string} prefix - Prefix to filter by
+   * @param {string|string[]} prefix - Prefix or prefixes to filter by
    * @returns {Object} Filtered environment variables
    */
   function applyPrefix(env, prefix) {
-    if (!prefix) {
+    const prefixes = (Array.isArray(prefix) ? prefix : [prefix]).filter(Boolean);
+    if (prefixes.length === 0) {
       return env;
     }
     
     const filtered = {};
     for (const [key, value] of Object.entries(env)) {
-      if (key.startsWith(prefix)) {
+      if (prefixes.some(p => key.startsWith(p))) {
         filtered[key] = value;
       }
     }
@@ -60,35 +105,87 @@ function applyWhitelist(env, whitelist) {
   }
   
   /**
-   * Apply all filters in sequence
+   * Apply value-based filters to environment variables
+   * @param {Object} env - Environment variables object
+   * @param {Object} options - Value filter options
+   * @param {boolean} options.excludeEmpty - Drop keys with empty values
+   * @param {string[]} options.excludeValues - Drop keys whose value matches a pattern
+   * @returns {Object} Filtered environment variables
+   */
+  function applyValueFilters(env, options = {}) {
+    const { excludeEmpty = false, excludeValues = [] } = options;
+    if (!excludeEmpty && excludeValues.length === 0) {
+      return env;
+    }
+    
+    const matches = matchAny(excludeValues);
+    const filtered = {};
+    for (const [key, value] of Object.entries(env)) {
+      const text = String(value);
+      if (excludeEmpty && text.trim() === '') continue;
+      if (matches(text)) continue;
+      filtered[key] = value;
+    }
+    
+    return filtered;
+  }
+  
+  /**
+   * Apply all filters
+   *
+   * Filters narrow the same set of keys, so the order they are given in does
+   * not matter: a key is kept when it starts with one of the prefixes (if
+   * any), matches one of the whitelist patterns (if any), matches none of the
+   * exclude patterns and passes the value filters.
    * @param {Object} env - Environment variables object
    * @param {Object} options - Filter options
-   * @param {string[]} options.whitelist - Keys to include
-   * @param {string[]} options.exclude - Keys to exclude
-   * @param {string} options.prefix - Prefix to filter by
+   * @param {string[]} options.whitelist - Keys or patterns to include
+   * @param {string[]} options.exclude - Keys or patterns to exclude
+   * @param {string|string[]} options.prefix - Prefix or prefixes to filter by
+   * @param {boolean} options.excludeEmpty - Drop keys with empty values
+   * @param {string[]} options.excludeValues - Drop keys whose value matches a pattern
    * @returns {Object} Filtered environment variables
    */
   function applyFilters(env, options = {}) {
     let filtered = env;
     
-    // Apply prefix filter first (most restrictive)
-    if (options.prefix) {
+    if (options.prefix && options.prefix.length > 0) {
       filtered = applyPrefix(filtered, options.prefix);
     }
     
-    // Then apply whitelist (if specified, overrides prefix)
     if (options.whitelist && options.whitelist.length > 0) {
-      filtered = applyWhitelist(env, options.whitelist); // Use original env for whitelist
+      filtered = applyWhitelist(filtered, options.whitelist);
     }
     
-    // Finally apply exclude filter
     if (options.exclude && options.exclude.length > 0) {
       filtered = applyExclude(filtered, options.exclude);
     }
     
+    filtered = applyValueFilters(filtered, options);
+    
     return filtered;
   }
   
+  /**
+   * Check that every pattern in a list compiles
+   * @param {string} name - Option name, used in messages
+   * @param {string[]} patterns - Patterns to check
+   * @param {string[]} errors - Error list to append to
+   */
+  function validatePatterns(name, patterns, errors) {
+    for (const pattern of patterns) {
+      if (typeof pattern !== 'string' || pattern === '') {
+        errors.push(`${name} patterns must be non-empty strings`);
+        continue;
+      }
+      try {
+        compilePattern(pattern);
+      } catch (error) {
+        errors.push(`Invalid ${name} pattern ${pattern}: ${error.message}`);
+      }
+    }
+  }
+  
   /**
    * Validate filter options
    * @param {Object} options - Filter options to validate
@@ -97,10 +194,6 @@ function applyWhitelist(env, whitelist) {
   function validateFilters(options) {
     const errors = [];
     
-    if (options.whitelist && options.prefix) {
-      console.warn('Warning: Both whitelist and prefix specified. Whitelist takes precedence.');
-    }
-    
     // Only validate if whitelist is explicitly provided and is an array
     if (options.whitelist && Array.isArray(options.whitelist) && options.whitelist.length === 0) {
       errors.push('Whitelist cannot be empty when specified');
@@ -111,8 +204,14 @@ function applyWhitelist(env, whitelist) {
       errors.push('Exclude list cannot be empty when specified');
     }
     
-    if (options.prefix !== null && options.prefix !== undefined && typeof options.prefix !== 'string') {
-      errors.push('Prefix must be a string');
+    if (options.whitelist) validatePatterns('whitelist', options.whitelist, errors);
+    if (options.exclude) validatePatterns('exclude', options.exclude, errors);
+    if (options.excludeValues) validatePatterns('exclude value', options.excludeValues, errors);
+    
+    const prefixes = Array.isArray(options.prefix) ? options.prefix : [options.prefix];
+    if (options.prefix !== null && options.prefix !== undefined &&
+        prefixes.some(prefix => typeof prefix !== 'string')) {
+      errors.push('Prefix must be a string or an array of strings');
     }
     
     return {
@@ -122,9 +221,11 @@ function applyWhitelist(env, whitelist) {
   }
   
   module.exports = {
+    compilePattern,
     applyWhitelist,
     applyExclude,
     applyPrefix,
+    applyValueFilters,
     applyFilters,
     validateFilters
-  };
\ No newline at end of file
+  };
@@ -0,0 +1,555 @@
+const yaml = require('js-yaml');
+const { maskSecrets } = require('./utils');
+const { formatDeclarations, formatConfigModule } = require('./typegen');
+const { EnvError, ERROR_CODES } = require('./errors');
+
+const SUPPORTED_FORMATS = [
+  'json', 'yaml', 'js',
+  'k8s-configmap', 'k8s-secret', 'k8s', 'compose', 'docker-env-file',
+  'sh', 'fish', 'powershell', 'toml', 'ini', 'properties', 'csv',
+  'dts', 'dts-import-meta', 'esm', 'ts'
+];
+
+/**
+ * Formats describing variable names rather than values
+ */
+const TYPED_FORMATS = ['dts', 'dts-import-meta', 'esm', 'ts'];
+
+const DEFAULT_RESOURCE_NAME = 'app-config';
+const RESOURCE_NAME_PATTERN = /^[a-z0-9]([-a-z0-9.]*[a-z0-9])?$/;
+
+const SHELL_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const TOML_BARE_KEY = /^[A-Za-z0-9_-]+$/;
+const INI_SAFE_VALUE = /^[^\s;#="'[\]\\]([^;#="'[\]\\\r\n]*[^\s;#="'[\]\\])?$/;
+
+const YAML_OPTIONS = {
+  indent: 2,
+  lineWidth: -1,
+  noRefs: true
+};
+
+/**
+ * Convert a value to the string form used in manifests and env files
+ * @param {*} value - Value to convert
+ * @returns {string} String value; objects and arrays become JSON
+ */
+function stringifyValue(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Convert every value of an object to a string
+ * @param {Object} obj - Object to convert
+ * @returns {Object} Object with string values
+ */
+function stringifyValues(obj) {
+  const result = {};
+  for (const [key, value] of Object.entries(obj)) {
+    result[key] = stringifyValue(value);
+  }
+  return result;
+}
+
+/**
+ * Parse labels given as an object or as key=value strings
+ * @param {Object|string[]} labels - Labels
+ * @returns {Object} Labels keyed by name
+ */
+function parseLabels(labels = {}) {
+  if (!Array.isArray(labels)) {
+    return stringifyValues(labels);
+  }
+  
+  const parsed = {};
+  for (const label of labels) {
+    const separator = label.indexOf('=');
+    if (separator <= 0) {
+      throw new Error(`Invalid label "${label}". Expected key=value`);
+    }
+    parsed[label.slice(0, separator).trim()] = label.slice(separator + 1).trim();
+  }
+  
+  return parsed;
+}
+
+/**
+ * Build the metadata block of a Kubernetes resource
+ * @param {string} name - Resource name
+ * @param {Object} options - Manifest options
+ * @returns {Object} Metadata
+ */
+function buildMetadata(name, options) {
+  if (!RESOURCE_NAME_PATTERN.test(name) || name.length > 253) {
+    throw new Error(`Invalid resource name "${name}". Use lower-case letters, digits, '-' and '.'`);
+  }
+  
+  const metadata = { name };
+  if (options.namespace) {
+    metadata.namespace = options.namespace;
+  }
+  
+  const labels = parseLabels(options.labels);
+  if (Object.keys(labels).length > 0) {
+    metadata.labels = labels;
+  }
+  
+  return metadata;
+}
+
+/**
+ * Build a ConfigMap resource
+ * @param {Object} obj - Variables to include
+ * @param {string} name - Resource name
+ * @param {Object} options - Manifest options
+ * @returns {Object} ConfigMap resource
+ */
+function configMap(obj, name, options) {
+  return {
+    apiVersion: 'v1',
+    kind: 'ConfigMap',
+    metadata: buildMetadata(name, options),
+    data: stringifyValues(obj)
+  };
+}
+
+/**
+ * Build an Opaque Secret resource with base64-encoded data
+ * @param {Object} obj - Variables to include
+ * @param {string} name - Resource name
+ * @param {Object} options - Manifest options
+ * @returns {Object} Secret resource
+ */
+function secret(obj, name, options) {
+  const data = {};
+  for (const [key, value] of Object.entries(obj)) {
+    data[key] = Buffer.from(stringifyValue(value), 'utf8').toString('base64');
+  }
+  
+  return {
+    apiVersion: 'v1',
+    kind: 'Secret',
+    metadata: buildMetadata(name, options),
+    type: 'Opaque',
+    data
+  };
+}
+
+/**
+ * Split variables into a ConfigMap and a Secret
+ *
+ * Keys matching the redact terms or detected as credentials go to the
+ * Secret, named <name>-secret; everything else goes to the ConfigMap.
+ * @param {Object} obj - Variables to split
+ * @param {Object} options - Manifest options
+ * @returns {string} Multi-document YAML
+ */
+function splitManifests(obj, options) {
+  const name = options.name || DEFAULT_RESOURCE_NAME;
+  const values = stringifyValues(obj);
+  const masked = maskSecrets(values, options.redact || [], { auto: true });
+  const plain = {};
+  const secrets = {};
+  
+  for (const [key, value] of Object.entries(values)) {
+    if (masked[key] !== value) {
+      secrets[key] = value;
+    } else {
+      plain[key] = value;
+    }
+  }
+  
+  const documents = [configMap(plain, name, options)];
+  if (Object.keys(secrets).length > 0) {
+    documents.push(secret(secrets, `${name}-secret`, options));
+  }
+  
+  return documents.map(document => yaml.dump(document, YAML_OPTIONS)).join('---\n');
+}
+
+/**
+ * Format variables as a docker-compose environment block
+ *
+ * Compose interpolates $VAR in its files, so $ is escaped as $$.
+ * @param {Object} obj - Variables to include
+ * @param {Object} options - Output options
+ * @param {string} options.name - Wrap the block in services.<name>
+ * @returns {string} Compose YAML
+ */
+function composeEnvironment(obj, options) {
+  const environment = {};
+  for (const [key, value] of Object.entries(stringifyValues(obj))) {
+    environment[key] = value.replace(/\$/g, '$$$$');
+  }
+  
+  const document = options.name
+    ? { services: { [options.name]: { environment } } }
+    : { environment };
+  
+  return yaml.dump(document, YAML_OPTIONS);
+}
+
+/**
+ * Format variables for docker run --env-file
+ *
+ * Docker reads each line literally, without quotes or escapes, so values
+ * cannot span lines.
+ * @param {Object} obj - Variables to include
+ * @returns {string} Env file content
+ */
+function dockerEnvFile(obj) {
+  const lines = [];
+  for (const [key, value] of Object.entries(stringifyValues(obj))) {
+    if (/[\r\n]/.test(value)) {
+      throw new Error(`Cannot write ${key} to a Docker env file: multi-line values are not supported`);
+    }
+    lines.push(`${key}=${value}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Check that every key can be used as a shell variable name
+ * @param {Object} obj - Variables to check
+ * @param {string} format - Format name, used in error messages
+ */
+function assertShellNames(obj, format) {
+  const invalid = Object.keys(obj).filter(key => !SHELL_NAME_PATTERN.test(key));
+  if (invalid.length > 0) {
+    throw new Error(`Cannot write ${invalid.join(', ')} as ${format} variables: names must be letters, digits and _`);
+  }
+}
+
+/**
+ * Format variables as POSIX shell export lines
+ *
+ * Values are single-quoted, which keeps $, backslashes, newlines and
+ * unicode literal; a single quote is written as '\''.
+ * @param {Object} obj - Variables to include
+ * @returns {string} Shell script
+ */
+function shellExports(obj) {
+  assertShellNames(obj, 'sh');
+  return Object.entries(stringifyValues(obj))
+    .map(([key, value]) => `export ${key}='${value.replace(/'/g, "'\\''")}'`)
+    .join('\n');
+}
+
+/**
+ * Format variables as fish set commands
+ *
+ * Inside fish single quotes only \\ and \' are escapes.
+ * @param {Object} obj - Variables to include
+ * @returns {string} Fish script
+ */
+function fishExports(obj) {
+  assertShellNames(obj, 'fish');
+  return Object.entries(stringifyValues(obj))
+    .map(([key, value]) => `set -gx ${key} '${value.replace(/[\\']/g, '\\$&')}'`)
+    .join('\n');
+}
+
+/**
+ * Format variables as PowerShell $env: assignments
+ *
+ * Single-quoted PowerShell strings are literal apart from '' for a quote,
+ * which also applies to typographic single quotes.
+ * @param {Object} obj - Variables to include
+ * @returns {string} PowerShell script
+ */
+function powershellExports(obj) {
+  assertShellNames(obj, 'PowerShell');
+  return Object.entries(stringifyValues(obj))
+    .map(([key, value]) => `$env:${key} = '${value.replace(/['\u2018\u2019\u201A\u201B]/g, '$&$&')}'`)
+    .join('\n');
+}
+
+/**
+ * Escape a string as a JSON-style quoted string restricted to \uXXXX escapes
+ * @param {string} value - Value to quote
+ * @returns {string} Quoted string
+ */
+function quoteBasicString(value) {
+  return `"${value.replace(/[\\"\u0000-\u001f\u007f]/g, char => {
+    switch (char) {
+      case '\\': return '\\\\';
+      case '"': return '\\"';
+      case '\n': return '\\n';
+      case '\r': return '\\r';
+      case '\t': return '\\t';
+      default: return `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`;
+    }
+  })}"`;
+}
+
+/**
+ * Format a TOML key, quoting it unless it is a bare key
+ * @param {string} key - Key
+ * @returns {string} TOML key
+ */
+function tomlKey(key) {
+  return TOML_BARE_KEY.test(key) ? key : quoteBasicString(key);
+}
+
+/**
+ * Format a TOML value
+ * @param {*} value - Value; strings, numbers, booleans, arrays and objects
+ * @returns {string} TOML value
+ */
+function tomlValue(value) {
+  if (typeof value === 'number' || typeof value === 'boolean') {
+    return String(value);
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(tomlValue).join(', ')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{ ${Object.entries(value).map(([key, item]) => `${tomlKey(key)} = ${tomlValue(item)}`).join(', ')} }`;
+  }
+  // TOML has no null, so empty values are written as empty strings
+  return quoteBasicString(stringifyValue(value));
+}
+
+/**
+ * Format variables as a TOML document
+ *
+ * Nested objects, e.g. from --nest, become [tables].
+ * @param {Object} obj - Variables to include
+ * @returns {string} TOML document
+ */
+function toml(obj) {
+  const sections = [];
+  
+  function visit(node, path) {
+    const lines = [];
+    const tables = [];
+    
+    for (const [key, value] of Object.entries(node)) {
+      if (value && typeof value === 'object' && !Array.isArray(value)) {
+        tables.push([path.concat(tomlKey(key)), value]);
+      } else {
+        lines.push(`${tomlKey(key)} = ${tomlValue(value)}`);
+      }
+    }
+    
+    if (path.length === 0) {
+      sections.push(lines.join('\n'));
+    } else if (lines.length > 0 || tables.length === 0) {
+      sections.push([`[${path.join('.')}]`].concat(lines).join('\n'));
+    }
+    
+    for (const [tablePath, value] of tables) {
+      visit(value, tablePath);
+    }
+  }
+  
+  visit(obj, []);
+  return sections.filter(Boolean).join('\n\n');
+}
+
+/**
+ * Format variables as an INI file
+ *
+ * Values containing whitespace at the ends, comment or quote characters or
+ * line breaks are written as double-quoted strings. Nested objects become
+ * [sections].
+ * @param {Object} obj - Variables to include
+ * @returns {string} INI content
+ */
+function ini(obj) {
+  const iniValue = value => {
+    const text = stringifyValue(value);
+    return text === '' || INI_SAFE_VALUE.test(text) ? text : quoteBasicString(text);
+  };
+  
+  const lines = [];
+  const sections = [];
+  
+  for (const [key, value] of Object.entries(obj)) {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      sections.push(`[${key}]`, ...Object.entries(value).map(([name, item]) => `${name}=${iniValue(item)}`), '');
+    } else {
+      lines.push(`${key}=${iniValue(value)}`);
+    }
+  }
+  
+  if (sections.length > 0 && lines.length > 0) {
+    lines.push('');
+  }
+  return lines.concat(sections).join('\n').trimEnd();
+}
+
+/**
+ * Escape text for a Java .properties file
+ *
+ * Characters outside printable ASCII are written as \uXXXX, so the file is
+ * read correctly with the ISO-8859-1 encoding Properties.load uses.
+ * @param {string} text - Key or value
+ * @param {boolean} isKey - Also escape separators and spaces
+ * @returns {string} Escaped text
+ */
+function escapeProperty(text, isKey) {
+  let escaped = '';
+  
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    const code = text.charCodeAt(i);
+    
+    if (char === '\\') escaped += '\\\\';
+    else if (char === '\n') escaped += '\\n';
+    else if (char === '\r') escaped += '\\r';
+    else if (char === '\t') escaped += '\\t';
+    else if (char === '\f') escaped += '\\f';
+    else if (char === ' ' && (isKey || i === 0)) escaped += '\\ ';
+    else if ('=:#!'.includes(char) && (isKey || i === 0)) escaped += `\\${char}`;
+    else if (code < 0x20 || code > 0x7e) escaped += `\\u${code.toString(16).padStart(4, '0')}`;
+    else escaped += char;
+  }
+  
+  return escaped;
+}
+
+/**
+ * Format variables as a Java .properties file
+ * @param {Object} obj - Variables to include
+ * @returns {string} Properties content
+ */
+function properties(obj) {
+  return Object.entries(stringifyValues(obj))
+    .map(([key, value]) => `${escapeProperty(key, true)}=${escapeProperty(value, false)}`)
+    .join('\n');
+}
+
+/**
+ * Format variables as CSV with a key,value header (RFC 4180 quoting)
+ * @param {Object} obj - Variables to include
+ * @returns {string} CSV content
+ */
+function csv(obj) {
+  const field = text => (/[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text);
+  const rows = Object.entries(stringifyValues(obj)).map(([key, value]) => `${field(key)},${field(value)}`);
+  return ['key,value'].concat(rows).join('\n');
+}
+
+/**
+ * Formats added with registerFormat, keyed by name
+ */
+const CUSTOM_FORMATS = {};
+
+/**
+ * Add an output format
+ *
+ * The format is listed with the built-in ones, so --format accepts it and
+ * help shows it.
+ * @param {string} name - Format name: lowercase letters, digits and dashes
+ * @param {Function} serializer - Receives the env and the format options, returns the output text
+ */
+function registerFormat(name, serializer) {
+  if (typeof name !== 'string' || !/^[a-z0-9][a-z0-9-]*$/.test(name)) {
+    throw new Error(`Invalid format name "${name}": use lowercase letters, digits and dashes`);
+  }
+  if (SUPPORTED_FORMATS.includes(name)) {
+    throw new Error(`Format ${name} is already registered`);
+  }
+  if (typeof serializer !== 'function') {
+    throw new Error(`Format ${name} needs a serializer function`);
+  }
+  
+  CUSTOM_FORMATS[name] = serializer;
+  SUPPORTED_FORMATS.push(name);
+}
+
+/**
+ * Convert object to specified format
+ * @param {Object} obj - Object to convert
+ * @param {string} format - Output format, one of SUPPORTED_FORMATS
+ * @param {Object} options - Format options
+ * @param {string} options.name - Kubernetes resource name or compose service name
+ * @param {string} options.namespace - Kubernetes namespace
+ * @param {Object|string[]} options.labels - Kubernetes labels, as an object or key=value strings
+ * @param {string[]} options.redact - Terms routing keys to the Secret in k8s split mode
+ * @param {string[]} options.optional - Keys declared as optional by the typed formats
+ * @returns {string} Formatted string
+ */
+function formatOutput(obj, format = 'json', options = {}) {
+  switch (format.toLowerCase()) {
+    case 'json':
+      return JSON.stringify(obj, null, 2);
+    
+    case 'yaml':
+      return yaml.dump(obj, YAML_OPTIONS);
+    
+    case 'js':
+      return `module.exports = ${JSON.stringify(obj, null, 2)};`;
+    
+    case 'k8s-configmap':
+      return yaml.dump(configMap(obj, options.name || DEFAULT_RESOURCE_NAME, options), YAML_OPTIONS);
+    
+    case 'k8s-secret':
+      return yaml.dump(secret(obj, options.name || DEFAULT_RESOURCE_NAME, options), YAML_OPTIONS);
+    
+    case 'k8s':
+      return splitManifests(obj, options);
+    
+    case 'compose':
+      return composeEnvironment(obj, options);
+    
+    case 'docker-env-file':
+      return dockerEnvFile(obj);
+    
+    case 'sh':
+      return shellExports(obj);
+    
+    case 'fish':
+      return fishExports(obj);
+    
+    case 'powershell':
+      return powershellExports(obj);
+    
+    case 'toml':
+      return toml(obj);
+    
+    case 'ini':
+      return ini(obj);
+    
+    case 'properties':
+      return properties(obj);
+    
+    case 'csv':
+      return csv(obj);
+    
+    case 'dts':
+      return formatDeclarations(obj, { target: 'process', optional: options.optional });
+    
+    case 'dts-import-meta':
+      return formatDeclarations(obj, { target: 'import-meta', optional: options.optional });
+    
+    case 'esm':
+      return formatConfigModule(obj, { typescript: false, optional: options.optional });
+    
+    case 'ts':
+      return formatConfigModule(obj, { typescript: true, optional: options.optional });
+    
+    default: {
+      const name = format.toLowerCase();
+      if (!Object.prototype.hasOwnProperty.call(CUSTOM_FORMATS, name)) {
+        throw new EnvError(ERROR_CODES.UNSUPPORTED_FORMAT,
+          `Unsupported format: ${format}. Supported formats: ${SUPPORTED_FORMATS.join(', ')}`);
+      }
+      
+      const output = CUSTOM_FORMATS[name](obj, options);
+      if (typeof output !== 'string') {
+        throw new Error(`Format ${name} returned ${typeof output} instead of a string`);
+      }
+      return output;
+    }
+  }
+}
+
+module.exports = {
+  SUPPORTED_FORMATS,
+  TYPED_FORMATS,
+  registerFormat,
+  formatOutput
+};
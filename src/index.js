@@ -1,205 +1,462 @@
-const yaml = require('js-yaml');
-const { readFile, writeFile, fileExists, maskSecrets } = require('./utils');
+const path = require('path');
+const { readFile, writeFile, fileExists, readSource, maskSecrets } = require('./utils');
 const { applyFilters, validateFilters } = require('./filters');
+const { tokenize, parseEntries, parseDocument, stringifyDocument } = require('./parser');
+const { resolveLayerFiles, loadLayers, formatExplain } = require('./layers');
+const { expandEnv } = require('./expand');
+const { coerceTypes, parseTypeOverrides } = require('./types');
+const { transformKeys } = require('./keys');
+const { convertToEnv, flattenObject, serializeEnv } = require('./reverse');
+const { loadSchema, validateEnv, formatViolations } = require('./schema');
+const { diffEnv, exampleFileFor } = require('./diff');
+const { generateExample, syncExample } = require('./example');
+const { formatOutput, SUPPORTED_FORMATS, TYPED_FORMATS } = require('./formats');
+const { decryptEnv, encryptValue, decryptValue, generateKey } = require('./encryption');
+const { EnvError, ERROR_CODES } = require('./errors');
+const { lintEnv } = require('./lint');
+const { getEnvValue, setEnvValues, unsetEnvKeys } = require('./edit');
+const { SOURCE_TYPES, PROCESS_ENV_NAME, extractEnv } = require('./sources');
+const { scanEnv } = require('./scan');
+const { MASK_STYLES } = require('./secrets');
+const { TRANSFORM_STAGES, registerFormat, registerTransform, registerParser, runTransforms, loadPlugin } = require('./plugins');
 
 /**
  * Parse .env file content into key-value pairs
+ *
+ * Later assignments of the same key override earlier ones. References
+ * are not expanded, but \$ outside single quotes is read as a literal $,
+ * so values written by serializeEnv come back unchanged.
  * @param {string} content - .env file content
  * @returns {Object} Parsed environment variables
  */
 function parseEnv(content) {
   const env = {};
-  const lines = content.split('\n');
   
-  for (let line of lines) {
-    // Remove comments and trim whitespace
-    line = line.split('#')[0].trim();
-    
-    // Skip empty lines
-    if (!line) continue;
-    
-    // Find the first = sign
-    const equalIndex = line.indexOf('=');
-    if (equalIndex === -1) continue;
-    
-    const key = line.substring(0, equalIndex).trim();
-    let value = line.substring(equalIndex + 1).trim();
-    
-    // Remove surrounding quotes if present
-    if ((value.startsWith('"') && value.endsWith('"')) ||
-        (value.startsWith("'") && value.endsWith("'"))) {
-      value = value.slice(1, -1);
-    }
-    
-    // Handle escaped characters
-    value = value.replace(/\\n/g, '\n')
-                 .replace(/\\r/g, '\r')
-                 .replace(/\\t/g, '\t')
-                 .replace(/\\\\/g, '\\')
-                 .replace(/\\"/g, '"')
-                 .replace(/\\'/g, "'");
-    
-    env[key] = value;
+  for (const entry of parseEntries(content)) {
+    env[entry.key] = entry.quote === "'" ? entry.value : entry.value.replace(/\\\$/g, '$');
   }
   
   return env;
 }
 
 /**
- * Convert object to specified format
- * @param {Object} obj - Object to convert
- * @param {string} format - Output format (json, yaml, js)
- * @returns {string} Formatted string
+ * Read one or more env files, decrypt encrypted values and optionally expand
+ * variable references
+ * @param {Object} options - Read options
+ * @param {string|string[]} options.file - Env file or files, lowest precedence first
+ * @param {string} options.mode - Layer .env.local, .env.<mode> and .env.<mode>.local
+ * @param {boolean} options.expand - Expand $VAR references (default: true)
+ * @param {Object|false} options.processEnv - Fallback environment for expansion
+ * @param {boolean} options.decrypt - Decrypt encrypted values (default: true)
+ * @param {string} options.keyFile - Key file used for decryption
+ * @param {string} options.content - Content to parse instead of reading; file then only names it
+ * @param {string} options.from - What the file or content holds: env, docker-inspect or k8s-configmap (default: env)
+ * @param {Object} options.values - Values to use instead of reading anything, e.g. process.env
+ * @returns {Object} Merged env with line numbers, provenance, parse issues and the
+ *   references that expanded to nothing
  */
-function formatOutput(obj, format = 'json') {
-  switch (format.toLowerCase()) {
-    case 'json':
-      return JSON.stringify(obj, null, 2);
-    
-    case 'yaml':
-      return yaml.dump(obj, {
-        indent: 2,
-        lineWidth: -1,
-        noRefs: true
-      });
+function readEnv(options = {}) {
+  const { file, mode, expand = true, processEnv, decrypt = true, keyFile = null, content = null, from = 'env', values = null } = options;
+  let layers;
+  
+  if (values !== null) {
+    layers = loadLayers([{ file, values }]);
+  } else if (from !== 'env') {
+    if (Array.isArray(file) || mode) {
+      throw new EnvError(ERROR_CODES.INVALID_INPUT, `A ${from} source is a single document, so it cannot be layered`);
+    }
+    const text = content === null ? readFile(resolveLayerFiles({ file })[0]) : content;
+    layers = loadLayers([{ file, values: extractEnv(text, from, file) }]);
+  } else {
+    layers = content === null
+      ? loadLayers(resolveLayerFiles({ file, mode }))
+      : loadLayers([{ file, content }]);
+  }
+  
+  try {
+    const env = decrypt ? decryptEnv(layers.env, { keyFile }) : layers.env;
     
-    case 'js':
-      return `module.exports = ${JSON.stringify(obj, null, 2)};`;
+    if (!expand) {
+      return { ...layers, env, unresolved: [] };
+    }
     
-    default:
-      throw new Error(`Unsupported format: ${format}. Supported formats: json, yaml, js`);
+    // Expansion runs after merging so later layers can reference earlier ones
+    const unresolved = [];
+    return {
+      ...layers,
+      env: expandEnv(env, { processEnv, literal: layers.literal, onUnresolved: (name, key) => unresolved.push({ name, key }) }),
+      unresolved
+    };
+  } catch (error) {
+    // Point errors about a key at the line that set it
+    const source = error instanceof EnvError && error.key ? layers.sources[error.key] : null;
+    if (source && !error.file) {
+      error.file = source.file;
+      error.line = source.line;
+    }
+    throw error;
   }
 }
 
 /**
- * Generate .env.example file from environment variables
- * @param {Object} env - Environment variables object
- * @returns {string} .env.example content
+ * Run the conversion, throwing an EnvError when it cannot complete
+ * @param {Object} options - Conversion options, see convertEnv
+ * @returns {Object} Result with the formatted data, converted env and warnings
  */
-function generateExample(env) {
-  const lines = [];
-  
-  for (const key of Object.keys(env).sort()) {
-    lines.push(`${key}=`);
-  }
-  
-  return lines.join('\n') + '\n';
-}
-
-/**
- * Main function to convert .env to specified format
- * @param {Object} options - Conversion options
- * @returns {Object} Result object with success status and data/error
- */
-function convertEnv(options = {}) {
+function runConversion(options = {}) {
   const {
     file = '.env',
+    content = null,
     format = 'json',
     output = null,
     whitelist = [],
+    include = [],
     exclude = [],
     prefix = null,
+    excludeEmpty = false,
+    excludeValues = [],
     redact = [],
-    generateExample: shouldGenerateExample = false
+    redactAuto = false,
+    detectSecrets = true,
+    maskStyle = 'full',
+    maskSalt = null,
+    expand = true,
+    expandHost = false,
+    processEnv = process.env,
+    types = 'string',
+    typeOverrides = {},
+    nest = null,
+    keyCase = 'preserve',
+    stripPrefix = false,
+    schema = null,
+    mode = null,
+    explain = false,
+    generateExample: shouldGenerateExample = false,
+    sync = false,
+    decrypt = true,
+    keyFile = null,
+    name = null,
+    namespace = null,
+    labels = {},
+    strict = false,
+    from = 'env',
+    fromProcessEnv = false
   } = options;
   
-  try {
-    // Validate filter options - only validate if options are actually provided
-    const filterOptions = {};
-    if (whitelist && whitelist.length > 0) filterOptions.whitelist = whitelist;
-    if (exclude && exclude.length > 0) filterOptions.exclude = exclude;
-    if (prefix) filterOptions.prefix = prefix;
-    
-    const filterValidation = validateFilters(filterOptions);
-    if (!filterValidation.valid) {
-      return {
-        success: false,
-        error: `Filter validation failed: ${filterValidation.errors.join(', ')}`
-      };
+  if (!SOURCE_TYPES.includes(from)) {
+    throw new EnvError(ERROR_CODES.INVALID_INPUT, `Unsupported source: ${from}. Supported sources: ${SOURCE_TYPES.join(', ')}`);
+  }
+  // Only env files have comments to keep and a .env.example next to them
+  const fromEnvFile = from === 'env' && !fromProcessEnv;
+  if (shouldGenerateExample && !fromEnvFile) {
+    throw new EnvError(ERROR_CODES.INVALID_INPUT, 'Example files can only be generated from env files');
+  }
+  
+  // Validate filter options - only validate if options are actually provided
+  const keep = include.length > 0 ? include : whitelist;
+  const filterOptions = {};
+  if (keep && keep.length > 0) filterOptions.whitelist = keep;
+  if (exclude && exclude.length > 0) filterOptions.exclude = exclude;
+  if (prefix && prefix.length > 0) filterOptions.prefix = prefix;
+  if (excludeEmpty) filterOptions.excludeEmpty = true;
+  if (excludeValues.length > 0) filterOptions.excludeValues = excludeValues;
+  
+  const filterValidation = validateFilters(filterOptions);
+  if (!filterValidation.valid) {
+    throw new EnvError(ERROR_CODES.FILTER_INVALID, `Filter validation failed: ${filterValidation.errors.join(', ')}`);
+  }
+  if (!MASK_STYLES.includes(maskStyle)) {
+    throw new EnvError(ERROR_CODES.INVALID_INPUT, `Unsupported mask style: ${maskStyle}. Supported styles: ${MASK_STYLES.join(', ')}`);
+  }
+  
+  // Read and merge the env file layers
+  // Examples never contain decrypted values, so they do not need the key.
+  // Output files are shared, so references only fall back to the host
+  // environment when asked to
+  const parsed = readEnv({
+    file: fromProcessEnv ? PROCESS_ENV_NAME : file,
+    mode,
+    expand,
+    processEnv: expandHost ? processEnv : false,
+    decrypt: decrypt && !shouldGenerateExample,
+    keyFile,
+    content,
+    from,
+    values: fromProcessEnv ? { ...(processEnv || {}) } : null
+  });
+  const envFile = parsed.files[0];
+  let env = parsed.env;
+  
+  // Lines the parser skipped are warnings, or an error in strict mode
+  if (strict && parsed.issues.length > 0) {
+    const issue = parsed.issues[0];
+    throw new EnvError(ERROR_CODES.PARSE_ERROR, `${issue.file}:${issue.line}: ${issue.message}`, issue);
+  }
+  const warnings = parsed.issues.map(issue => ({ code: ERROR_CODES.PARSE_ERROR, ...issue }));
+  
+  // References that expanded to nothing usually mean a $ meant literally
+  const reported = new Set();
+  for (const { name, key } of parsed.unresolved) {
+    if (reported.has(`${key}=${name}`)) {
+      continue;
     }
-    
-    // Check if file exists, fallback to .env
-    let envFile = file;
-    if (!fileExists(envFile)) {
-      if (envFile !== '.env' && fileExists('.env')) {
-        envFile = '.env';
-        console.warn(`File ${file} not found, using .env instead`);
-      } else {
-        return {
-          success: false,
-          error: `Environment file not found: ${envFile}`
-        };
-      }
+    reported.add(`${key}=${name}`);
+    const inHost = processEnv && Object.prototype.hasOwnProperty.call(processEnv, name);
+    warnings.push({
+      code: ERROR_CODES.EXPANSION_ERROR,
+      file: parsed.sources[key].file,
+      line: parsed.sources[key].line,
+      key,
+      message: inHost
+        ? `${key} refers to ${name}, which is only set in the environment; pass --expand-host to use it`
+        : `${key} refers to ${name}, which is not set, so it expands to an empty string; escape the $ as \\$ or single-quote the value to keep it`
+    });
+  }
+  
+  // Generate example file if requested
+  if (shouldGenerateExample) {
+    const exampleFile = exampleFileFor(envFile);
+    if (path.resolve(exampleFile) === path.resolve(envFile)) {
+      throw new EnvError(ERROR_CODES.INVALID_INPUT, `${envFile} is already an example file; generating one would overwrite it`);
     }
+    const source = content === null ? readFile(envFile) : content;
     
-    // Read and parse .env file
-    const content = readFile(envFile);
-    let env = parseEnv(content);
-    
-    // Generate example file if requested
-    if (shouldGenerateExample) {
-      const exampleContent = generateExample(env);
-      const exampleFile = envFile.replace(/\.env.*$/, '.env.example');
-      writeFile(exampleFile, exampleContent);
+    if (sync && fileExists(exampleFile)) {
+      const merged = syncExample(readFile(exampleFile), source, { redact, auto: detectSecrets || redactAuto });
+      writeFile(exampleFile, merged.content);
       return {
         success: true,
-        message: `Generated ${exampleFile}`,
-        data: exampleContent
+        message: `Synced ${exampleFile}: ${merged.added.length} added` +
+          (merged.removed.length > 0 ? `, no longer in ${envFile}: ${merged.removed.join(', ')}` : ''),
+        data: merged.content,
+        added: merged.added,
+        removed: merged.removed,
+        warnings
       };
     }
     
-    // Apply filters
-    env = applyFilters(env, { whitelist, exclude, prefix });
-    
-    // Apply secret masking
-    if (redact.length > 0) {
-      env = maskSecrets(env, redact);
+    const exampleContent = generateExample(env, { source, redact, auto: detectSecrets || redactAuto });
+    writeFile(exampleFile, exampleContent);
+    return {
+      success: true,
+      message: `Generated ${exampleFile}`,
+      data: exampleContent,
+      warnings
+    };
+  }
+  
+  // Plugin transforms run after each stage, see TRANSFORM_STAGES
+  const context = { file: envFile, format, options };
+  env = runTransforms('parse', env, context);
+  
+  // Validate against the schema and fill in defaults
+  if (schema) {
+    const files = {};
+    for (const [key, source] of Object.entries(parsed.sources)) {
+      files[key] = source.file;
     }
-    
-    // Format output
-    const formattedOutput = formatOutput(env, format);
-    
-    // Write to file or return for stdout
-    if (output) {
-      writeFile(output, formattedOutput);
-      return {
-        success: true,
-        message: `Output written to ${output}`,
-        data: formattedOutput
-      };
+    const validation = validateEnv(env, loadSchema(schema), { lines: parsed.lines, files });
+    if (!validation.valid) {
+      const [first] = validation.violations;
+      throw new EnvError(ERROR_CODES.SCHEMA_INVALID, `Schema validation failed:\n${formatViolations(validation.violations)}`, {
+        file: first.file,
+        line: first.line,
+        key: first.key,
+        violations: validation.violations
+      });
     }
-    
+    env = validation.env;
+  }
+  
+  // Apply filters
+  env = runTransforms('filter', applyFilters(env, filterOptions), context);
+  const filteredKeys = Object.keys(env);
+  
+  // Coerce values into numbers, booleans and JSON when requested
+  const overrides = Array.isArray(typeOverrides) ? parseTypeOverrides(typeOverrides) : typeOverrides;
+  if (types !== 'string' || Object.keys(overrides).length > 0) {
+    env = coerceTypes(env, { mode: types, overrides });
+  }
+  
+  // Apply secret masking; in k8s split mode the redact terms route keys
+  // to the Secret instead
+  if ((redact.length > 0 || redactAuto) && format !== 'k8s') {
+    env = maskSecrets(env, redact, { auto: redactAuto, style: maskStyle, salt: maskSalt });
+  }
+  env = runTransforms('redact', env, context);
+  
+  // Typed formats declare the variable names, which must not be renamed
+  const typed = TYPED_FORMATS.includes(format);
+  if (typed && (nest || keyCase !== 'preserve' || stripPrefix)) {
+    throw new EnvError(ERROR_CODES.INVALID_INPUT, `The ${format} format declares environment variable names, so it cannot be combined with --nest, --key-case or --strip-prefix`);
+  }
+  
+  // Keys documented only in .env.example are declared as optional
+  let optional = [];
+  const exampleFile = exampleFileFor(envFile);
+  if (typed && content === null && fromEnvFile && exampleFile !== envFile && fileExists(exampleFile)) {
+    const exampleKeys = {};
+    for (const key of Object.keys(parseEnv(readFile(exampleFile)))) {
+      exampleKeys[key] = '';
+    }
+    // Example values are placeholders, so only the key filters apply
+    optional = Object.keys(applyFilters(exampleKeys, { ...filterOptions, excludeEmpty: false, excludeValues: [] }))
+      .filter(key => !filteredKeys.includes(key));
+  }
+  
+  // Rename keys and build nested objects
+  if (nest || keyCase !== 'preserve' || stripPrefix) {
+    env = transformKeys(env, {
+      separator: nest,
+      keyCase,
+      stripPrefix: stripPrefix ? prefix : null
+    });
+  }
+  
+  // Format output
+  env = runTransforms('format', env, context);
+  const formattedOutput = formatOutput(env, format, { name, namespace, labels, redact, optional });
+  
+  // Report where each remaining key came from
+  const report = explain ? { explain: formatExplain(parsed.sources, filteredKeys) } : {};
+  
+  // Write to file or return for stdout
+  if (output) {
+    writeFile(output, formattedOutput);
     return {
       success: true,
-      data: formattedOutput
+      message: `Output written to ${output}`,
+      data: formattedOutput,
+      env,
+      warnings,
+      ...report
     };
-    
+  }
+  
+  return {
+    success: true,
+    data: formattedOutput,
+    env,
+    warnings,
+    ...report
+  };
+}
+
+/**
+ * Main function to convert .env to specified format
+ * @param {Object} options - Conversion options
+ * @returns {Object} Result object with success status and data/error
+ */
+function convertEnv(options = {}) {
+  try {
+    return runConversion(options);
   } catch (error) {
-    return {
+    const result = {
       success: false,
       error: error.message
     };
+    if (error instanceof EnvError) {
+      result.code = error.code;
+      if (error.violations) result.violations = error.violations;
+    }
+    return result;
   }
 }
 
 /**
- * Load environment variables from .env file
- * @param {string} filePath - Path to .env file
- * @returns {Object} Parsed environment variables
+ * Convert env content without printing or writing files
+ *
+ * Reads env files from input, content from source, or with fromProcessEnv
+ * the processEnv values. Skipped lines are
+ * returned as warnings; anything that stops the conversion rejects with an
+ * EnvError carrying a code and, where known, the file, line and key.
+ * output and generateExample are ignored; the caller writes the data.
+ * @param {Object} options - convertEnv options, plus:
+ * @param {string|string[]} options.input - Env file or files, lowest precedence first
+ * @param {string|Buffer|Stream} options.source - Env content, instead of input
+ * @param {string} options.filename - Name for source in warnings and errors (default: <source>)
+ * @param {string} options.from - What input or source holds: env, docker-inspect or k8s-configmap (default: env)
+ * @param {boolean} options.fromProcessEnv - Convert processEnv (default: process.env) instead (default: false)
+ * @param {boolean} options.strict - Reject on skipped lines instead of warning (default: false)
+ * @returns {Promise<Object>} Formatted data, converted env, warnings and explain report
  */
-function loadEnv(filePath = '.env') {
-  if (!fileExists(filePath)) {
-    throw new Error(`Environment file not found: ${filePath}`);
+async function convert(options = {}) {
+  const { input = null, source = null, filename = '<source>', ...rest } = options;
+  
+  if ([input !== null, source !== null, Boolean(rest.fromProcessEnv)].filter(Boolean).length !== 1) {
+    throw new EnvError(ERROR_CODES.INVALID_INPUT, 'Pass one of input, source or fromProcessEnv');
   }
   
-  const content = readFile(filePath);
-  return parseEnv(content);
+  const content = source === null ? null : await readSource(source);
+  const conversion = {
+    ...rest,
+    file: source === null ? input : filename,
+    content,
+    output: null,
+    generateExample: false
+  };
+  
+  try {
+    const { success, ...result } = runConversion(conversion);
+    return result;
+  } catch (error) {
+    if (error instanceof EnvError) {
+      throw error;
+    }
+    throw new EnvError(ERROR_CODES.INVALID_INPUT, error.message);
+  }
+}
+
+/**
+ * Load environment variables from .env file
+ * @param {string|string[]} filePath - Path to .env file, or several files lowest precedence first
+ * @param {Object} options - Load options
+ * @param {string} options.mode - Layer .env.local, .env.<mode> and .env.<mode>.local
+ * @param {boolean} options.expand - Expand $VAR references (default: true)
+ * @param {Object|false} options.processEnv - Fallback environment for expansion (default: process.env)
+ * @param {boolean} options.decrypt - Decrypt encrypted values (default: true)
+ * @param {string} options.keyFile - Key file; otherwise ENV2JSON_KEY or .env.key is used
+ * @returns {Object} Parsed environment variables
+ */
+function loadEnv(filePath = '.env', options = {}) {
+  return readEnv({ ...options, file: filePath }).env;
 }
 
 module.exports = {
+  convert,
   convertEnv,
+  convertToEnv,
+  flattenObject,
+  serializeEnv,
+  loadSchema,
+  validateEnv,
+  diffEnv,
+  lintEnv,
+  scanEnv,
   loadEnv,
   parseEnv,
+  tokenize,
+  parseDocument,
+  stringifyDocument,
+  getEnvValue,
+  setEnvValues,
+  unsetEnvKeys,
+  expandEnv,
+  coerceTypes,
+  transformKeys,
   formatOutput,
-  generateExample
+  SUPPORTED_FORMATS,
+  SOURCE_TYPES,
+  TRANSFORM_STAGES,
+  registerFormat,
+  registerTransform,
+  registerParser,
+  loadPlugin,
+  generateExample,
+  syncExample,
+  encryptValue,
+  decryptValue,
+  generateKey,
+  EnvError,
+  ERROR_CODES
 };
\ No newline at end of file
@@ -0,0 +1,178 @@
+const KEY_CASES = ['preserve', 'camel', 'snake', 'kebab', 'lower', 'upper'];
+
+/**
+ * Split a key segment into lower-case words
+ * @param {string} segment - Key or key segment, e.g. DB_HOST or dbHost
+ * @returns {string[]} Words
+ */
+function splitWords(segment) {
+  return segment
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .split(/[_\-\s.]+/)
+    .filter(Boolean)
+    .map(word => word.toLowerCase());
+}
+
+/**
+ * Transform a key to the requested case
+ * @param {string} key - Key to transform
+ * @param {string} keyCase - One of preserve, camel, snake, kebab, lower, upper
+ * @returns {string} Transformed key
+ */
+function transformKey(key, keyCase = 'preserve') {
+  switch (keyCase) {
+    case 'preserve':
+      return key;
+    case 'lower':
+      return key.toLowerCase();
+    case 'upper':
+      return key.toUpperCase();
+    case 'snake':
+      return splitWords(key).join('_');
+    case 'kebab':
+      return splitWords(key).join('-');
+    case 'camel':
+      return splitWords(key)
+        .map((word, index) => index === 0 ? word : word.charAt(0).toUpperCase() + word.slice(1))
+        .join('');
+    default:
+      throw new Error(`Unsupported key case: ${keyCase}. Supported cases: ${KEY_CASES.join(', ')}`);
+  }
+}
+
+/**
+ * Remove a prefix from a key
+ * @param {string} key - Key to strip
+ * @param {string|string[]} prefixes - Prefix or prefixes to remove
+ * @returns {string} Key without the first matching prefix
+ */
+function stripKeyPrefix(key, prefixes) {
+  const list = Array.isArray(prefixes) ? prefixes : [prefixes];
+  const match = list.find(prefix => prefix && key.startsWith(prefix) && key.length > prefix.length);
+  return match ? key.slice(match.length) : key;
+}
+
+/**
+ * Replace objects whose keys are 0..n-1 with arrays, recursively
+ * @param {*} node - Node of the nested tree
+ * @returns {*} Node with arrays
+ */
+function toArrays(node) {
+  if (!node || typeof node !== 'object' || Array.isArray(node)) {
+    return node;
+  }
+  
+  const keys = Object.keys(node);
+  for (const key of keys) {
+    node[key] = toArrays(node[key]);
+  }
+  
+  const isSequence = keys.length > 0 && keys.every(key => /^\d+$/.test(key)) &&
+    keys.map(Number).sort((a, b) => a - b).every((index, position) => index === position);
+  
+  return isSequence ? keys.map(Number).sort((a, b) => a - b).map(index => node[index]) : node;
+}
+
+/**
+ * Copy prototype-less objects into plain ones, recursively
+ *
+ * Keys are defined rather than assigned, so a __proto__ key stays an own
+ * property instead of replacing the prototype.
+ * @param {*} node - Node of the nested tree
+ * @returns {*} Node built from plain objects
+ */
+function toPlainObjects(node) {
+  if (Array.isArray(node)) {
+    return node.map(toPlainObjects);
+  }
+  if (!node || typeof node !== 'object') {
+    return node;
+  }
+  
+  const plain = {};
+  for (const key of Object.keys(node)) {
+    Object.defineProperty(plain, key, { value: toPlainObjects(node[key]), enumerable: true, writable: true, configurable: true });
+  }
+  return plain;
+}
+
+/**
+ * Rename keys and optionally build nested objects from delimited keys
+ *
+ * With a separator of "__", DB__HOST and DB__PORT become { DB: { HOST, PORT } }.
+ * Numeric segments such as HOSTS__0 and HOSTS__1 become arrays. A key that
+ * is both a value and a parent (DB=x alongside DB__HOST=y), or two keys
+ * that collapse to the same name after transformation, are reported as
+ * conflicts. __proto__ and constructor segments become ordinary keys.
+ * @param {Object} env - Environment variables object
+ * @param {Object} options - Key options
+ * @param {string} options.separator - Nesting separator, e.g. "__" (default: none)
+ * @param {string} options.keyCase - Case applied to every key segment (default: preserve)
+ * @param {string|string[]} options.stripPrefix - Prefix(es) removed before transforming
+ * @returns {Object} Transformed environment object
+ */
+function transformKeys(env, options = {}) {
+  const { separator = null, keyCase = 'preserve', stripPrefix = null } = options;
+  
+  if (!KEY_CASES.includes(keyCase)) {
+    throw new Error(`Unsupported key case: ${keyCase}. Supported cases: ${KEY_CASES.join(', ')}`);
+  }
+  
+  // Keys come from the env file, so a segment such as __proto__ must
+  // become a property rather than reach Object.prototype
+  const result = Object.create(null);
+  const origins = new Map();
+  const leaves = new Set();
+  const conflicts = [];
+  
+  for (const [key, value] of Object.entries(env)) {
+    const name = stripPrefix ? stripKeyPrefix(key, stripPrefix) : key;
+    const segments = (separator ? name.split(separator) : [name])
+      .filter(Boolean)
+      .map(segment => transformKey(segment, keyCase));
+    
+    let node = result;
+    let pathSoFar = '';
+    
+    for (let i = 0; i < segments.length; i++) {
+      const segment = segments[i];
+      pathSoFar = pathSoFar ? `${pathSoFar}.${segment}` : segment;
+      const exists = Object.prototype.hasOwnProperty.call(node, segment);
+      const owner = origins.get(pathSoFar);
+      
+      if (i === segments.length - 1) {
+        if (!exists) {
+          node[segment] = value;
+          origins.set(pathSoFar, key);
+          leaves.add(pathSoFar);
+        } else if (leaves.has(pathSoFar)) {
+          conflicts.push(`${key} and ${owner} both map to "${pathSoFar}"`);
+        } else {
+          conflicts.push(`${key} sets "${pathSoFar}" to a value but ${owner} makes it an object`);
+        }
+      } else if (!exists) {
+        node[segment] = Object.create(null);
+        origins.set(pathSoFar, key);
+        node = node[segment];
+      } else if (leaves.has(pathSoFar)) {
+        conflicts.push(`${key} makes "${pathSoFar}" an object but ${owner} sets it to a value`);
+        break;
+      } else {
+        node = node[segment];
+      }
+    }
+  }
+  
+  if (conflicts.length > 0) {
+    throw new Error(`Key conflicts: ${conflicts.join('; ')}`);
+  }
+  
+  return toPlainObjects(separator ? toArrays(result) : result);
+}
+
+module.exports = {
+  KEY_CASES,
+  transformKey,
+  transformKeys,
+  stripKeyPrefix
+};
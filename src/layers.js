@@ -0,0 +1,179 @@
+const { readFile, fileExists } = require('./utils');
+const { tokenize } = require('./parser');
+const { EnvError, ERROR_CODES } = require('./errors');
+
+/**
+ * List every file that may take part in the layering, lowest precedence first
+ * @param {Object} options - Layer options
+ * @param {string|string[]} options.file - Env file or files (default: .env)
+ * @param {string} options.mode - Mode such as development or production
+ * @returns {string[]} Candidate files, whether or not they exist
+ */
+function layerCandidates(options = {}) {
+  const { file = '.env', mode = null } = options;
+  const files = Array.isArray(file) ? file : [file];
+  
+  if (!mode) {
+    return files;
+  }
+  
+  const candidates = [];
+  for (const base of files) {
+    candidates.push(base, `${base}.local`, `${base}.${mode}`, `${base}.${mode}.local`);
+  }
+  return candidates;
+}
+
+/**
+ * Work out which env files to load, lowest precedence first
+ *
+ * Several files are loaded in the order given. With a mode, the file is
+ * used as a base and layered like Next.js/Vite: .env, .env.local,
+ * .env.<mode>, .env.<mode>.local, skipping layers that do not exist.
+ * @param {Object} options - Layer options
+ * @param {string|string[]} options.file - Env file or files (default: .env)
+ * @param {string} options.mode - Mode such as development or production
+ * @returns {string[]} Existing files, lowest precedence first
+ */
+function resolveLayerFiles(options = {}) {
+  const { mode = null } = options;
+  const candidates = layerCandidates(options);
+  
+  if (mode) {
+    const existing = candidates.filter(candidate => fileExists(candidate));
+    if (existing.length === 0) {
+      throw new EnvError(ERROR_CODES.ENV_FILE_NOT_FOUND,
+        `No environment files found for mode "${mode}": ${candidates.join(', ')}`, { file: candidates[0] });
+    }
+    return existing;
+  }
+  
+  for (const candidate of candidates) {
+    if (!fileExists(candidate)) {
+      throw new EnvError(ERROR_CODES.ENV_FILE_NOT_FOUND, `Environment file not found: ${candidate}`, { file: candidate });
+    }
+  }
+  
+  return candidates;
+}
+
+/**
+ * Read and merge env files, recording where each key came from
+ *
+ * Lines the parser cannot read, unterminated quotes and keys repeated
+ * within one file are collected as issues rather than reported directly.
+ * @param {Array<string|Object>} files - Files to read, lowest precedence first;
+ *   { file, content } items are used as given instead of being read, and
+ *   { file, values } items hold values that were already parsed
+ * @returns {Object} Merged env, line numbers, literal keys, provenance and issues
+ */
+function loadLayers(files) {
+  const env = {};
+  const lines = {};
+  const literal = new Set();
+  const sources = {};
+  const issues = [];
+  const names = [];
+  
+  for (const layer of files) {
+    const file = typeof layer === 'string' ? layer : layer.file;
+    names.push(file);
+    
+    if (layer.values) {
+      // Values from the environment or a manifest have no lines, and are
+      // taken as they are rather than expanded
+      for (const [key, value] of Object.entries(layer.values)) {
+        const previous = sources[key];
+        env[key] = value;
+        delete lines[key];
+        literal.add(key);
+        sources[key] = { file, line: null, overrides: previous ? previous.overrides.concat([{ file: previous.file, line: previous.line }]) : [] };
+      }
+      continue;
+    }
+    
+    const content = typeof layer === 'string' ? readFile(layer) : layer.content;
+    
+    for (const token of tokenize(content)) {
+      if (token.type === 'invalid') {
+        issues.push({ file, line: token.line, message: token.reason });
+        continue;
+      }
+      if (token.type !== 'entry') {
+        continue;
+      }
+      
+      const entry = token;
+      const previous = sources[entry.key];
+      if (entry.unterminated) {
+        issues.push({ file, line: entry.line, message: `Unterminated ${entry.unterminated} quote in ${entry.key}` });
+      }
+      if (previous && previous.file === file) {
+        issues.push({ file, line: entry.line, message: `${entry.key} is already set on line ${previous.line}` });
+      }
+      
+      // Repeated keys within one file are not overrides between layers
+      const overrides = previous
+        ? previous.overrides.concat(previous.file === file ? [] : [{ file: previous.file, line: previous.line }])
+        : [];
+      
+      env[entry.key] = entry.value;
+      lines[entry.key] = entry.line;
+      if (entry.quote === "'") {
+        literal.add(entry.key);
+      } else {
+        literal.delete(entry.key);
+      }
+      sources[entry.key] = { file, line: entry.line, overrides };
+    }
+  }
+  
+  return {
+    env,
+    lines,
+    literal: [...literal],
+    sources,
+    files: names,
+    issues
+  };
+}
+
+/**
+ * Describe where a value was set
+ * @param {Object} source - File and line, null for values without lines
+ * @returns {string} file:line, or the file alone
+ */
+function location(source) {
+  return source.line === null ? source.file : `${source.file}:${source.line}`;
+}
+
+/**
+ * Format provenance as a report of where each key came from
+ * @param {Object} sources - Provenance from loadLayers
+ * @param {string[]} keys - Keys to include (default: all)
+ * @returns {string} One line per key
+ */
+function formatExplain(sources, keys = Object.keys(sources)) {
+  const width = Math.max(0, ...keys.map(key => key.length));
+  
+  return keys
+    .map(key => {
+      const source = sources[key];
+      if (!source) {
+        return `${key.padEnd(width)}  (default)`;
+      }
+      
+      const overridden = source.overrides.length > 0
+        ? `  (overrides ${source.overrides.map(location).join(', ')})`
+        : '';
+      return `${key.padEnd(width)}  ${location(source)}${overridden}`;
+    })
+    .join('\n');
+}
+
+module.exports = {
+  layerCandidates,
+  resolveLayerFiles,
+  loadLayers,
+  formatExplain
+};
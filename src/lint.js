@@ -0,0 +1,276 @@
+const { readFile, writeFile } = require('./utils');
+const { tokenize, rewriteTokens } = require('./parser');
+const { findReferences } = require('./expand');
+const { serializeValue } = require('./reverse');
+
+/**
+ * Lint rules and their default severity
+ */
+const LINT_RULES = {
+  'duplicate-key': 'error',
+  'invalid-key': 'error',
+  'missing-equals': 'error',
+  'mismatched-quotes': 'error',
+  'unquoted-spaces': 'warn',
+  'trailing-whitespace': 'warn',
+  'lowercase-key': 'warn',
+  'undefined-reference': 'warn'
+};
+
+const LINT_SEVERITIES = ['off', 'warn', 'error'];
+
+const LINT_FORMATS = ['text', 'json'];
+
+/**
+ * Merge rule settings over the defaults
+ * @param {Object|string[]} rules - Severities keyed by rule, or RULE:severity strings
+ * @returns {Object} Severity of every rule
+ */
+function resolveRules(rules = {}) {
+  const entries = Array.isArray(rules)
+    ? rules.map(rule => [rule.slice(0, rule.lastIndexOf(':')), rule.slice(rule.lastIndexOf(':') + 1)])
+    : Object.entries(rules);
+  const resolved = { ...LINT_RULES };
+  
+  for (const [rule, severity] of entries) {
+    if (!Object.prototype.hasOwnProperty.call(LINT_RULES, rule)) {
+      throw new Error(`Unknown lint rule "${rule}". Rules: ${Object.keys(LINT_RULES).join(', ')}`);
+    }
+    if (!LINT_SEVERITIES.includes(severity)) {
+      throw new Error(`Invalid severity "${severity}" for ${rule}. Use ${LINT_SEVERITIES.join(', ')}`);
+    }
+    resolved[rule] = severity;
+  }
+  
+  return resolved;
+}
+
+/**
+ * Find problems in env content
+ * @param {string} content - .env file content
+ * @param {Object} options - Lint options
+ * @param {Object} options.rules - Resolved rule severities
+ * @param {Object} options.processEnv - Variables that references may use besides the file's own
+ * @returns {Object[]} Problems with rule, message, line, column and, when fixable, a fix
+ */
+function findProblems(content, options) {
+  const { rules, processEnv } = options;
+  const tokens = tokenize(content);
+  const defined = new Set(tokens.filter(token => token.type === 'entry').map(token => token.key));
+  const seen = {};
+  const problems = [];
+  
+  const report = (rule, token, message, column = 1, fix = null) => {
+    if (rules[rule] !== 'off') {
+      problems.push({ rule, severity: rules[rule], message, line: token.line, column, fix });
+    }
+  };
+  
+  for (const token of tokens) {
+    // Inside a multi-line value only the last line ends the token
+    const lastText = token.raw.split(/\r\n|\n|\r/).pop();
+    const trailing = /[ \t]+$/.exec(lastText);
+    if (trailing) {
+      report('trailing-whitespace', { line: token.endLine }, 'Trailing whitespace', trailing.index + 1, {
+        token: token.line,
+        apply: raw => raw.replace(/[ \t]+$/, '')
+      });
+    }
+    
+    if (token.type === 'invalid') {
+      if (token.key === undefined) {
+        report('missing-equals', token, token.reason);
+      } else {
+        report('invalid-key', token, token.reason);
+      }
+      continue;
+    }
+    if (token.type !== 'entry') {
+      continue;
+    }
+    
+    const { key, value, quote } = token;
+    
+    if (seen[key]) {
+      // The last assignment wins, so dropping the earlier one keeps the value
+      report('duplicate-key', token, `${key} is already set on line ${seen[key]}`, token.column, {
+        token: seen[key],
+        apply: () => null
+      });
+    }
+    seen[key] = token.line;
+    
+    if (/[a-z]/.test(key)) {
+      report('lowercase-key', token, `${key} contains lowercase letters`, token.column);
+    }
+    
+    if (token.unterminated) {
+      report('mismatched-quotes', token, `Unterminated ${token.unterminated} quote in ${key}`, token.valueColumn);
+    } else if (token.trailing) {
+      report('mismatched-quotes', token, `Unexpected text after the closing ${quote} quote in ${key}`, token.valueColumn);
+    } else if (!quote && /["'`]$/.test(value)) {
+      report('mismatched-quotes', token, `${key} ends with a ${value.slice(-1)} quote but does not start with one`, token.valueColumn);
+    } else if (!quote && /\s/.test(value)) {
+      const start = token.valueColumn - 1;
+      report('unquoted-spaces', token, `Value of ${key} contains spaces but is not quoted`, token.valueColumn, {
+        token: token.line,
+        apply: raw => raw.slice(0, start) + serializeValue(value, false) + raw.slice(start + value.length)
+      });
+    }
+    
+    if (quote !== "'" && !token.unterminated) {
+      for (const reference of findReferences(value)) {
+        // A key referring to itself reads the outer environment, as PATH=$PATH:/bin does
+        const known = (reference.name !== key && defined.has(reference.name)) ||
+          Object.prototype.hasOwnProperty.call(processEnv, reference.name);
+        if (!reference.guarded && !known) {
+          report('undefined-reference', token, `${key} refers to undefined variable ${reference.name}`, token.valueColumn);
+        }
+      }
+    }
+  }
+  
+  return problems.sort((a, b) => a.line - b.line || a.column - b.column);
+}
+
+/**
+ * Apply the fixes of the given problems
+ * @param {string} content - .env file content
+ * @param {Object[]} problems - Problems from findProblems
+ * @returns {string} Fixed content
+ */
+function applyFixes(content, problems) {
+  const fixes = {};
+  for (const problem of problems.filter(p => p.fix && p.severity !== 'off')) {
+    (fixes[problem.fix.token] = fixes[problem.fix.token] || []).push(problem.fix.apply);
+  }
+  
+  return rewriteTokens(content, token => {
+    if (!fixes[token.line]) {
+      return undefined;
+    }
+    return fixes[token.line].reduce((raw, apply) => (raw === null ? null : apply(raw)), token.raw);
+  });
+}
+
+/**
+ * Read the values an env file defines, last assignment winning
+ * @param {string} content - .env file content
+ * @returns {Object} Values keyed by name
+ */
+function definedValues(content) {
+  const env = {};
+  for (const token of tokenize(content)) {
+    if (token.type === 'entry') {
+      env[token.key] = token.value;
+    }
+  }
+  return env;
+}
+
+/**
+ * Lint an env file
+ *
+ * Reports duplicate keys, invalid key names, lines without =, mismatched
+ * quotes, unquoted values with spaces, trailing whitespace, lowercase keys
+ * and references to variables defined neither in the file nor in
+ * processEnv. With fix, duplicate keys, unquoted spaces and trailing
+ * whitespace are rewritten; the file is only written if every value still
+ * parses the same.
+ * @param {Object} options - Lint options
+ * @param {string} options.file - Env file (default: .env)
+ * @param {string} options.content - Content to lint instead of reading file, which then only names it
+ * @param {Object|string[]} options.rules - Rule severities (off, warn, error), e.g. { 'lowercase-key': 'off' }
+ * @param {boolean} options.fix - Fix what can be fixed (default: false)
+ * @param {Object} options.processEnv - Variables references may use (default: process.env)
+ * @returns {Object} Remaining problems, counts and the (fixed) content
+ */
+function lintEnv(options = {}) {
+  const { file = '.env', content = null, fix = false, processEnv = process.env } = options;
+  const rules = resolveRules(options.rules);
+  const source = content === null ? readFile(file) : content;
+  
+  let output = source;
+  let problems = findProblems(source, { rules, processEnv });
+  const found = problems.length;
+  
+  if (fix && problems.some(problem => problem.fix)) {
+    output = applyFixes(source, problems);
+    
+    const before = definedValues(source);
+    const after = definedValues(output);
+    const changed = Object.keys(before).filter(key => before[key] !== after[key]);
+    if (changed.length > 0 || Object.keys(after).length !== Object.keys(before).length) {
+      throw new Error(`Refusing to fix ${file}: the fixes would change ${changed.join(', ') || 'the defined keys'}`);
+    }
+    
+    if (content === null && output !== source) {
+      writeFile(file, output);
+    }
+    problems = findProblems(output, { rules, processEnv });
+  }
+  
+  problems = problems.map(({ fix: fixable, ...problem }) => ({ ...problem, file, fixable: Boolean(fixable) }));
+  
+  return {
+    file,
+    problems,
+    errorCount: problems.filter(problem => problem.severity === 'error').length,
+    warningCount: problems.filter(problem => problem.severity === 'warn').length,
+    fixed: found - problems.length,
+    output
+  };
+}
+
+/**
+ * Format lint results for output
+ * @param {Object[]} results - Results from lintEnv
+ * @param {string} format - Output format (text, json)
+ * @returns {string} Formatted report
+ */
+function formatLint(results, format = 'text') {
+  switch (format) {
+    case 'json':
+      return JSON.stringify(results.map(({ output, ...result }) => result), null, 2);
+    
+    case 'text': {
+      const lines = [];
+      let errors = 0;
+      let warnings = 0;
+      let fixable = 0;
+      
+      for (const result of results) {
+        for (const problem of result.problems) {
+          const severity = problem.severity === 'error' ? 'error' : 'warning';
+          lines.push(`${problem.file}:${problem.line}:${problem.column}: ${severity}: ${problem.message} (${problem.rule})`);
+        }
+        if (result.fixed > 0) {
+          lines.push(`Fixed ${result.fixed} problem(s) in ${result.file}`);
+        }
+        errors += result.errorCount;
+        warnings += result.warningCount;
+        fixable += result.problems.filter(problem => problem.fixable).length;
+      }
+      
+      if (errors + warnings === 0) {
+        lines.push(`No problems found in ${results.map(result => result.file).join(', ')}`);
+      } else {
+        lines.push(`${errors + warnings} problem(s) (${errors} error(s), ${warnings} warning(s))` +
+          (fixable > 0 ? `, ${fixable} fixable with --fix` : ''));
+      }
+      return lines.join('\n');
+    }
+    
+    default:
+      throw new Error(`Unsupported lint format: ${format}. Supported formats: ${LINT_FORMATS.join(', ')}`);
+  }
+}
+
+module.exports = {
+  LINT_RULES,
+  LINT_SEVERITIES,
+  LINT_FORMATS,
+  resolveRules,
+  lintEnv,
+  formatLint
+};
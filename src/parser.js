@@ -0,0 +1,301 @@
+const QUOTES = ['"', "'", '`'];
+const KEY_PATTERN = /^[A-Za-z_][A-Za-z0-9_.-]*$/;
+
+/**
+ * Split content into lines, keeping track of each line ending
+ * @param {string} content - Raw file content
+ * @returns {Object[]} Lines with text and eol
+ */
+function splitLines(content) {
+  const lines = [];
+  const pattern = /\r\n|\n|\r/g;
+  let start = 0;
+  let match;
+  
+  while ((match = pattern.exec(content)) !== null) {
+    lines.push({ text: content.slice(start, match.index), eol: match[0] });
+    start = match.index + match[0].length;
+  }
+  
+  if (start < content.length) {
+    lines.push({ text: content.slice(start), eol: '' });
+  }
+  
+  return lines;
+}
+
+/**
+ * Process escape sequences inside a double-quoted value
+ * @param {string} value - Raw value between the quotes
+ * @returns {string} Unescaped value
+ */
+function unescapeDoubleQuoted(value) {
+  return value.replace(/\\([nrt"'\\])/g, (match, char) => {
+    switch (char) {
+      case 'n': return '\n';
+      case 'r': return '\r';
+      case 't': return '\t';
+      default: return char;
+    }
+  });
+}
+
+/**
+ * Find the closing quote of a quoted value
+ * @param {string} text - Text to search
+ * @param {number} start - Index just after the opening quote
+ * @param {string} quote - Quote character
+ * @returns {number} Index of the closing quote or -1
+ */
+function findClosingQuote(text, start, quote) {
+  for (let i = start; i < text.length; i++) {
+    if (quote === '"' && text[i] === '\\') {
+      i++;
+      continue;
+    }
+    if (text[i] === quote) return i;
+  }
+  return -1;
+}
+
+/**
+ * Read an unquoted value, stopping at an inline comment
+ * @param {string} text - Text following the = sign
+ * @returns {Object} Value and inline comment
+ */
+function readUnquoted(text) {
+  // A # only starts a comment when preceded by whitespace, so URL
+  // fragments and colour codes survive
+  const match = /\s#/.exec(text);
+  const valueText = match ? text.slice(0, match.index) : text;
+  
+  return {
+    value: valueText.trim(),
+    comment: match ? text.slice(match.index + 2) : null
+  };
+}
+
+/**
+ * Tokenize .env content into entries, comments, blank and invalid lines
+ *
+ * Follows dotenv semantics: `export` prefixes are ignored, single-quoted
+ * and backtick values are literal, double-quoted values support escapes,
+ * and any quoted value may span several lines.
+ * @param {string} content - .env file content
+ * @returns {Object[]} Tokens in source order
+ */
+function tokenize(content) {
+  const tokens = [];
+  const lines = splitLines(content.replace(/^\uFEFF/, ''));
+  
+  for (let i = 0; i < lines.length; i++) {
+    const { text } = lines[i];
+    const lineNumber = i + 1;
+    const trimmed = text.trim();
+    
+    if (!trimmed) {
+      tokens.push({ type: 'blank', line: lineNumber, endLine: lineNumber, raw: text });
+      continue;
+    }
+    
+    if (trimmed.startsWith('#')) {
+      tokens.push({
+        type: 'comment',
+        line: lineNumber,
+        endLine: lineNumber,
+        raw: text,
+        text: trimmed.slice(1).trim()
+      });
+      continue;
+    }
+    
+    let pos = text.length - text.trimStart().length;
+    let exported = false;
+    const exportMatch = /^export\s+/.exec(text.slice(pos));
+    if (exportMatch) {
+      exported = true;
+      pos += exportMatch[0].length;
+    }
+    
+    const column = pos + 1;
+    const equalIndex = text.indexOf('=', pos);
+    if (equalIndex === -1) {
+      tokens.push({
+        type: 'invalid',
+        line: lineNumber,
+        endLine: lineNumber,
+        raw: text,
+        reason: 'Missing "=" in assignment'
+      });
+      continue;
+    }
+    
+    const key = text.slice(pos, equalIndex).trim();
+    if (!KEY_PATTERN.test(key)) {
+      tokens.push({
+        type: 'invalid',
+        line: lineNumber,
+        endLine: lineNumber,
+        raw: text,
+        key,
+        reason: `Invalid key name "${key}"`
+      });
+      continue;
+    }
+    
+    const afterEqual = text.slice(equalIndex + 1);
+    const valueOffset = afterEqual.length - afterEqual.trimStart().length;
+    const rest = afterEqual.slice(valueOffset);
+    const valueColumn = equalIndex + 2 + valueOffset;
+    const entry = {
+      type: 'entry',
+      key,
+      value: '',
+      quote: null,
+      exported,
+      comment: null,
+      line: lineNumber,
+      endLine: lineNumber,
+      column,
+      valueColumn,
+      raw: text
+    };
+    
+    const quote = QUOTES.includes(rest[0]) ? rest[0] : null;
+    let closed = false;
+    
+    if (quote) {
+      // Quoted values may continue over the following lines; line
+      // endings inside the value are normalised to \n as dotenv does
+      let buffer = rest;
+      let endIndex = i;
+      let closeIndex = findClosingQuote(buffer, 1, quote);
+      
+      while (closeIndex === -1 && endIndex + 1 < lines.length) {
+        buffer += '\n' + lines[endIndex + 1].text;
+        endIndex++;
+        closeIndex = findClosingQuote(buffer, 1, quote);
+      }
+      
+      if (closeIndex !== -1) {
+        closed = true;
+        const inner = buffer.slice(1, closeIndex);
+        const trailing = buffer.slice(closeIndex + 1);
+        const commentMatch = /^\s*#(.*)$/.exec(trailing);
+        
+        entry.quote = quote;
+        entry.value = quote === '"' ? unescapeDoubleQuoted(inner) : inner;
+        entry.comment = commentMatch ? commentMatch[1] : null;
+        entry.trailing = commentMatch ? '' : trailing.trim();
+        entry.endLine = endIndex + 1;
+        entry.raw = lines.slice(i, endIndex + 1)
+          .map((line, index) => line.text + (i + index < endIndex ? line.eol : ''))
+          .join('');
+        // Searched again in raw, whose line endings may be \r\n
+        entry.rawValue = entry.raw.slice(valueColumn - 1, findClosingQuote(entry.raw, valueColumn, quote) + 1);
+        i = endIndex;
+      }
+    }
+    
+    if (!closed) {
+      const { value, comment } = readUnquoted(afterEqual);
+      entry.value = value;
+      entry.rawValue = value;
+      entry.comment = comment;
+      if (value === '' && comment !== null) {
+        // The value is empty and the # starts a comment, so a value
+        // written in later goes right after the = and keeps the space
+        entry.valueColumn = equalIndex + 2;
+      }
+      if (quote) {
+        entry.unterminated = quote;
+      }
+    }
+    
+    tokens.push(entry);
+  }
+  
+  return tokens;
+}
+
+/**
+ * Parse .env content into a list of entries with source positions
+ * @param {string} content - .env file content
+ * @returns {Object[]} Entry tokens in source order
+ */
+function parseEntries(content) {
+  return tokenize(content).filter(token => token.type === 'entry');
+}
+
+/**
+ * Parse .env content into a document that can be edited and written back
+ *
+ * Every token keeps its raw text and line ending, and entries keep the
+ * value exactly as written (rawValue), so stringifyDocument reproduces the
+ * input byte for byte.
+ * @param {string} content - .env file content
+ * @returns {Object} Document with bom, the file's line ending and tokens
+ */
+function parseDocument(content) {
+  const bom = content.startsWith('\uFEFF') ? '\uFEFF' : '';
+  const lines = splitLines(content.slice(bom.length));
+  const crlf = lines.filter(line => line.eol === '\r\n').length;
+  
+  return {
+    bom,
+    eol: crlf > lines.length / 2 ? '\r\n' : '\n',
+    tokens: tokenize(content).map(token => ({ ...token, eol: lines[token.endLine - 1].eol }))
+  };
+}
+
+/**
+ * Write a document back to .env content
+ * @param {Object} document - Document from parseDocument
+ * @returns {string} .env content
+ */
+function stringifyDocument(document) {
+  return document.bom + document.tokens.map(token => token.raw + token.eol).join('');
+}
+
+/**
+ * Rewrite selected tokens, leaving every other line byte-identical
+ * @param {string} content - .env file content
+ * @param {Function} replacer - Receives each token and returns its new text,
+ *   undefined to keep the original or null to remove its lines
+ * @returns {string} Rewritten content
+ */
+function rewriteTokens(content, replacer) {
+  const document = parseDocument(content);
+  const tokens = [];
+  
+  for (const token of document.tokens) {
+    const replacement = replacer(token);
+    if (replacement !== null) {
+      tokens.push(replacement === undefined ? token : { ...token, raw: replacement });
+    }
+  }
+  
+  return stringifyDocument({ ...document, tokens });
+}
+
+/**
+ * Rewrite selected entries, leaving every other line byte-identical
+ * @param {string} content - .env file content
+ * @param {Function} replacer - Receives each entry token and returns its new
+ *   text, or undefined to keep the original
+ * @returns {string} Rewritten content
+ */
+function rewriteEntries(content, replacer) {
+  return rewriteTokens(content, token => (token.type === 'entry' ? replacer(token) : undefined));
+}
+
+module.exports = {
+  tokenize,
+  parseEntries,
+  parseDocument,
+  stringifyDocument,
+  rewriteTokens,
+  rewriteEntries,
+  splitLines,
+  KEY_PATTERN
+};
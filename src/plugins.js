@@ -0,0 +1,125 @@
+const path = require('path');
+const { registerFormat } = require('./formats');
+const { registerParser } = require('./sources');
+
+/**
+ * Points in the convert pipeline where transforms run, in order: after
+ * parsing (values read, decrypted and expanded), after filtering, after
+ * type coercion and redaction, and right before formatting
+ */
+const TRANSFORM_STAGES = ['parse', 'filter', 'redact', 'format'];
+
+const transforms = [];
+const loaded = new Set();
+
+/**
+ * Add a transform to the convert pipeline
+ * @param {Function} transform - Receives the env and { stage, file, format, options } and returns
+ *   the new env, or nothing to keep the (possibly changed) one it was given
+ * @param {Object} options - Transform options
+ * @param {string} options.stage - Stage to run after, one of TRANSFORM_STAGES (default: format)
+ */
+function registerTransform(transform, options = {}) {
+  const { stage = 'format' } = options;
+  if (typeof transform !== 'function') {
+    throw new Error('A transform must be a function');
+  }
+  if (!TRANSFORM_STAGES.includes(stage)) {
+    throw new Error(`Unknown transform stage "${stage}". Stages: ${TRANSFORM_STAGES.join(', ')}`);
+  }
+  
+  transforms.push({ transform, stage });
+}
+
+/**
+ * Run the transforms registered for a stage
+ * @param {string} stage - Pipeline stage
+ * @param {Object} env - Environment variables object
+ * @param {Object} context - File, format and conversion options passed to each transform
+ * @returns {Object} Transformed env
+ */
+function runTransforms(stage, env, context) {
+  let result = env;
+  
+  for (const entry of transforms.filter(t => t.stage === stage)) {
+    const returned = entry.transform(result, { ...context, stage });
+    if (returned !== undefined) {
+      if (!returned || typeof returned !== 'object' || Array.isArray(returned)) {
+        throw new Error(`A ${stage} transform returned ${Array.isArray(returned) ? 'an array' : typeof returned} instead of an env object`);
+      }
+      result = returned;
+    }
+  }
+  
+  return result;
+}
+
+/**
+ * What a plugin receives to register its formats, transforms and parsers
+ */
+const PLUGIN_API = {
+  registerFormat,
+  registerTransform,
+  registerParser
+};
+
+/**
+ * Load a plugin module and let it register itself
+ *
+ * A plugin exports a function, or an object with a register function,
+ * taking { registerFormat, registerTransform, registerParser }. Paths
+ * starting with . are relative to cwd; anything else is resolved as a
+ * package from cwd. Loading the same file twice does nothing.
+ * @param {string} specifier - Path or package name
+ * @param {Object} options - Load options
+ * @param {string} options.cwd - Directory to resolve from (default: process.cwd())
+ * @returns {string} Resolved path of the plugin
+ */
+function loadPlugin(specifier, options = {}) {
+  const { cwd = process.cwd() } = options;
+  let resolved;
+  let plugin;
+  
+  try {
+    resolved = specifier.startsWith('.') || path.isAbsolute(specifier)
+      ? require.resolve(path.resolve(cwd, specifier))
+      : require.resolve(specifier, { paths: [cwd] });
+    if (loaded.has(resolved)) {
+      return resolved;
+    }
+    plugin = require(resolved);
+  } catch (error) {
+    // Node appends the require stack, which says nothing about the plugin
+    throw new Error(`Failed to load plugin ${specifier}: ${error.message.split('\n')[0]}`);
+  }
+  
+  const register = typeof plugin === 'function' ? plugin : plugin && plugin.register;
+  if (typeof register !== 'function') {
+    throw new Error(`Plugin ${specifier} must export a function, or an object with a register function`);
+  }
+  
+  loaded.add(resolved);
+  register(PLUGIN_API);
+  return resolved;
+}
+
+/**
+ * Load several plugins in order
+ * @param {string[]} specifiers - Paths or package names
+ * @param {Object} options - Load options passed to loadPlugin
+ * @returns {string[]} Resolved paths
+ */
+function loadPlugins(specifiers = [], options = {}) {
+  return specifiers.map(specifier => loadPlugin(specifier, options));
+}
+
+module.exports = {
+  TRANSFORM_STAGES,
+  PLUGIN_API,
+  registerFormat,
+  registerTransform,
+  registerParser,
+  runTransforms,
+  loadPlugin,
+  loadPlugins
+};
@@ -0,0 +1,185 @@
+const path = require('path');
+const yaml = require('js-yaml');
+const { readFile, writeFile, fileExists } = require('./utils');
+const { transformKey } = require('./keys');
+
+const SAFE_VALUE = /^[A-Za-z0-9_.\-/:@,+%=]+$/;
+
+/**
+ * Read a JSON, YAML or JS config file into an object
+ * @param {string} filePath - Path to the config file
+ * @returns {Object} Parsed config
+ */
+function readConfig(filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+  
+  if (extension === '.js' || extension === '.cjs') {
+    return require(path.resolve(filePath));
+  }
+  
+  const content = readFile(filePath);
+  
+  if (extension === '.json') {
+    return JSON.parse(content);
+  }
+  
+  // YAML is a superset of JSON, so it also covers unknown extensions
+  return yaml.load(content);
+}
+
+/**
+ * Convert a config key to an upper-case env key segment
+ * @param {string} key - Config key, e.g. dbHost or db-host
+ * @returns {string} Env key segment, e.g. DB_HOST
+ */
+function toEnvKey(key) {
+  const segment = /^[A-Z0-9_]+$/.test(key) ? key : transformKey(key, 'snake').toUpperCase();
+  return segment.replace(/[^A-Za-z0-9_]/g, '_');
+}
+
+/**
+ * Flatten a nested config object into env variables
+ *
+ * Nested objects become delimited keys ({ db: { host } } -> DB__HOST), arrays
+ * are written as JSON strings and null becomes an empty value.
+ * @param {Object} obj - Config object
+ * @param {Object} options - Flatten options
+ * @param {string} options.separator - Separator between nested keys (default: __)
+ * @param {boolean} options.flatten - Flatten nested objects instead of writing JSON (default: true)
+ * @returns {Object} Flat environment variables with string values
+ */
+function flattenObject(obj, options = {}) {
+  const { separator = '__', flatten = true } = options;
+  const env = {};
+  
+  function visit(node, prefix) {
+    for (const [key, value] of Object.entries(node)) {
+      const envKey = prefix ? `${prefix}${separator}${toEnvKey(key)}` : toEnvKey(key);
+      
+      if (value && typeof value === 'object' && !Array.isArray(value) && flatten) {
+        visit(value, envKey);
+      } else if (value && typeof value === 'object') {
+        env[envKey] = JSON.stringify(value);
+      } else {
+        env[envKey] = value === null || value === undefined ? '' : String(value);
+      }
+    }
+  }
+  
+  if (!obj || typeof obj !== 'object' || Array.isArray(obj)) {
+    throw new Error('Config must be an object at the top level');
+  }
+  
+  visit(obj, '');
+  return env;
+}
+
+/**
+ * Quote a value for writing after KEY=
+ *
+ * The previous quote style is kept when it can hold the new value; plain
+ * values stay bare, values with spaces get single quotes, and double
+ * quotes with escapes are the fallback.
+ * @param {string} value - Value to write
+ * @param {Object} options - Quoting options
+ * @param {string} options.quote - Quote the value was written with before, if any
+ * @param {boolean} options.literal - Keep $VAR references from being expanded (default: false)
+ * @returns {string} Value text
+ */
+function quoteValue(value, options = {}) {
+  const { quote = null, literal = false } = options;
+  const single = !value.includes("'") && !/[\r\n]/.test(value) && (literal || !value.includes('$'));
+  const double = () => {
+    let escaped = value
+      .replace(/\\/g, '\\\\')
+      .replace(/"/g, '\\"')
+      .replace(/\n/g, '\\n')
+      .replace(/\r/g, '\\r');
+    if (literal) {
+      escaped = escaped.replace(/\$/g, '\\$');
+    }
+    return `"${escaped}"`;
+  };
+  
+  if (quote === '"') return double();
+  if (quote === "'" && single) return `'${value}'`;
+  if (value === '' || SAFE_VALUE.test(value)) return value;
+  if (single) return `'${value}'`;
+  return double();
+}
+
+/**
+ * Quote a value so that parseEnv reads it back unchanged
+ * @param {string} value - Value to serialize
+ * @param {boolean} literal - Keep $VAR references from being expanded (default: true)
+ * @returns {string} Value ready to follow KEY=
+ */
+function serializeValue(value, literal = true) {
+  return quoteValue(value, { literal });
+}
+
+/**
+ * Serialize environment variables into .env file content
+ * @param {Object} env - Environment variables object
+ * @returns {string} .env content
+ */
+function serializeEnv(env) {
+  const lines = Object.entries(env).map(([key, value]) => `${key}=${serializeValue(String(value))}`);
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Convert a JSON, YAML or JS config file back to .env format
+ * @param {Object} options - Conversion options
+ * @returns {Object} Result object with success status and data/error
+ */
+function convertToEnv(options = {}) {
+  const {
+    file,
+    output = null,
+    separator = '__',
+    flatten = true
+  } = options;
+  
+  try {
+    if (!file || !fileExists(file)) {
+      return {
+        success: false,
+        error: `Config file not found: ${file}`
+      };
+    }
+    
+    const env = flattenObject(readConfig(file), { separator, flatten });
+    const content = serializeEnv(env);
+    
+    if (output) {
+      writeFile(output, content);
+      return {
+        success: true,
+        message: `Output written to ${output}`,
+        data: content
+      };
+    }
+    
+    return {
+      success: true,
+      data: content
+    };
+  
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+module.exports = {
+  convertToEnv,
+  flattenObject,
+  serializeEnv,
+  serializeValue,
+  quoteValue,
+  SAFE_VALUE,
+  readConfig
+};
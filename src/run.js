@@ -0,0 +1,238 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { loadEnv } = require('./index');
+const { applyFilters, validateFilters } = require('./filters');
+
+/**
+ * Signals passed on to the child process
+ */
+const FORWARDED_SIGNALS = ['SIGINT', 'SIGTERM', 'SIGHUP', 'SIGQUIT'];
+
+/**
+ * Signals a terminal sends to its whole foreground process group, so the
+ * child already has them when running in one
+ */
+const TERMINAL_SIGNALS = ['SIGINT', 'SIGQUIT'];
+
+/**
+ * Milliseconds a terminal signal is held back before it is forwarded
+ */
+const TERMINAL_SIGNAL_DELAY = 500;
+
+/**
+ * Build the environment for a child process
+ *
+ * The env files go through the same read, expand and filter steps as
+ * convertEnv. Without override, variables already set in the parent
+ * environment win, as with dotenv.
+ * @param {Object} options - Options
+ * @param {string|string[]} options.file - Env file or files (default: .env)
+ * @param {string} options.mode - Layer .env.local, .env.<mode> and .env.<mode>.local
+ * @param {boolean} options.expand - Expand $VAR references (default: true)
+ * @param {string} options.keyFile - Key file for encrypted values
+ * @param {string[]} options.whitelist - Keys or patterns to include
+ * @param {string[]} options.exclude - Keys or patterns to exclude
+ * @param {string|string[]} options.prefix - Only keys with one of these prefixes
+ * @param {boolean} options.excludeEmpty - Drop keys with empty values
+ * @param {string[]} options.excludeValues - Drop keys whose value matches
+ * @param {boolean} options.override - Let the env files override existing variables (default: false)
+ * @param {Object} options.processEnv - Parent environment (default: process.env)
+ * @returns {Object} Environment for the child process
+ */
+function buildRunEnv(options = {}) {
+  const {
+    file = '.env',
+    mode = null,
+    expand = true,
+    keyFile = null,
+    whitelist = [],
+    exclude = [],
+    prefix = null,
+    excludeEmpty = false,
+    excludeValues = [],
+    override = false,
+    processEnv = process.env
+  } = options;
+  
+  const filterOptions = {};
+  if (whitelist.length > 0) filterOptions.whitelist = whitelist;
+  if (exclude.length > 0) filterOptions.exclude = exclude;
+  if (prefix && prefix.length > 0) filterOptions.prefix = prefix;
+  if (excludeEmpty) filterOptions.excludeEmpty = true;
+  if (excludeValues.length > 0) filterOptions.excludeValues = excludeValues;
+  
+  const validation = validateFilters(filterOptions);
+  if (!validation.valid) {
+    throw new Error(`Filter validation failed: ${validation.errors.join(', ')}`);
+  }
+  
+  const env = applyFilters(loadEnv(file, { mode, expand, keyFile, processEnv }), filterOptions);
+  
+  return override ? { ...processEnv, ...env } : { ...env, ...processEnv };
+}
+
+/**
+ * Find a command on the PATH the way Windows does, trying each PATHEXT
+ * extension
+ * @param {string} command - Command name or path
+ * @param {Object} env - Environment holding PATH and PATHEXT
+ * @returns {string|null} Path of the command, or null when it is not found
+ */
+function findWindowsCommand(command, env) {
+  // Windows variable names are case-insensitive, plain objects are not
+  const lookup = name => env[Object.keys(env).find(key => key.toUpperCase() === name)];
+  const extensions = ['', ...(lookup('PATHEXT') || '.COM;.EXE;.BAT;.CMD').split(';').filter(Boolean)];
+  const directories = /[\\/]/.test(command) ? [''] : ['', ...(lookup('PATH') || '').split(';').filter(Boolean)];
+  
+  for (const directory of directories) {
+    for (const extension of extensions) {
+      const candidate = path.join(directory, command + extension);
+      try {
+        if (fs.statSync(candidate).isFile()) {
+          return candidate;
+        }
+      } catch (error) {
+        // Not here, try the next candidate
+      }
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Quote an argument for a cmd.exe command line
+ *
+ * The argument is quoted for CommandLineToArgvW, then cmd.exe
+ * metacharacters are escaped with ^, twice for npm's node_modules/.bin
+ * shims since those pass their arguments through cmd.exe again.
+ * @param {string} arg - Argument
+ * @param {boolean} twice - Escape for two rounds of cmd.exe parsing
+ * @returns {string} Quoted argument
+ */
+function quoteCmdArgument(arg, twice = false) {
+  const quoted = `"${String(arg).replace(/(\\*)"/g, '$1$1\\"').replace(/(\\*)$/, '$1$1')}"`;
+  const escaped = quoted.replace(/[()%!^"<>&|]/g, '^$&');
+  return twice ? escaped.replace(/[()%!^"<>&|]/g, '^$&') : escaped;
+}
+
+/**
+ * Work out what to spawn for a command
+ *
+ * Batch files such as npm's .cmd shims cannot be spawned directly on
+ * Windows, so they run through cmd.exe with every argument quoted instead
+ * of handing the raw command line to a shell.
+ * @param {string} command - Command to run
+ * @param {string[]} args - Command arguments
+ * @param {Object} env - Environment for the child
+ * @param {string} platform - Platform to spawn for (default: process.platform)
+ * @returns {Object} File, arguments and extra spawn options
+ */
+function resolveCommand(command, args, env, platform = process.platform) {
+  if (platform !== 'win32') {
+    return { file: command, args, options: {} };
+  }
+  
+  const file = findWindowsCommand(command, env) || command;
+  if (!/\.(cmd|bat)$/i.test(file)) {
+    return { file, args, options: {} };
+  }
+  
+  const twice = /node_modules[\\/]\.bin[\\/][^\\/]+\.cmd$/i.test(file);
+  const line = [quoteCmdArgument(file), ...args.map(arg => quoteCmdArgument(arg, twice))].join(' ');
+  return {
+    file: env.ComSpec || env.COMSPEC || 'cmd.exe',
+    args: ['/d', '/s', '/c', `"${line}"`],
+    options: { windowsVerbatimArguments: true }
+  };
+}
+
+/**
+ * Spawn a command with the given environment
+ *
+ * stdio is inherited and SIGINT, SIGTERM, SIGHUP and SIGQUIT received by
+ * this process are forwarded to the child until it exits. In a terminal,
+ * Ctrl-C and Ctrl-\ already reach the child, and a handler cannot tell
+ * them from the same signal sent with kill, so SIGINT and SIGQUIT are
+ * held back briefly and only forwarded if the child is still running.
+ * @param {string} command - Command to run
+ * @param {string[]} args - Command arguments
+ * @param {Object} env - Environment for the child
+ * @returns {Promise<Object>} Resolves with the child's exit code and signal
+ */
+function runCommand(command, args = [], env = process.env) {
+  return new Promise((resolve, reject) => {
+    const resolved = resolveCommand(command, args, env);
+    const child = spawn(resolved.file, resolved.args, {
+      env,
+      stdio: 'inherit',
+      ...resolved.options
+    });
+    
+    const timers = new Set();
+    const send = signal => {
+      if (child.exitCode === null && child.signalCode === null) {
+        child.kill(signal);
+      }
+    };
+    const forward = signal => {
+      if (!TERMINAL_SIGNALS.includes(signal) || !process.stdin.isTTY) {
+        send(signal);
+        return;
+      }
+      const timer = setTimeout(() => {
+        timers.delete(timer);
+        send(signal);
+      }, TERMINAL_SIGNAL_DELAY);
+      timers.add(timer);
+    };
+    const cleanup = () => {
+      for (const signal of FORWARDED_SIGNALS) {
+        process.removeListener(signal, forward);
+      }
+      for (const timer of timers) {
+        clearTimeout(timer);
+      }
+    };
+    
+    for (const signal of FORWARDED_SIGNALS) {
+      process.on(signal, forward);
+    }
+    
+    child.on('error', error => {
+      cleanup();
+      reject(error.code === 'ENOENT' ? new Error(`Command not found: ${command}`) : error);
+    });
+    
+    child.on('exit', (code, signal) => {
+      cleanup();
+      resolve({ code, signal });
+    });
+  });
+}
+
+/**
+ * Work out the exit code to report for a finished child
+ *
+ * A child killed by a signal is reported as 128 + the signal number, as
+ * shells do.
+ * @param {Object} result - Result from runCommand
+ * @returns {number} Exit code
+ */
+function exitCodeFor(result) {
+  if (result.code !== null) {
+    return result.code;
+  }
+  
+  return 128 + (os.constants.signals[result.signal] || 0);
+}
+
+module.exports = {
+  FORWARDED_SIGNALS,
+  buildRunEnv,
+  resolveCommand,
+  runCommand,
+  exitCodeFor
+};
@@ -0,0 +1,310 @@
+const fs = require('fs');
+const path = require('path');
+const { readFile, fileExists } = require('./utils');
+const { parseEntries, KEY_PATTERN } = require('./parser');
+const { compilePattern } = require('./filters');
+
+const SCAN_FORMATS = ['text', 'json'];
+
+/**
+ * Exit codes used by the scan command
+ */
+const SCAN_EXIT_CODES = {
+  clean: 0,
+  error: 1,
+  problems: 2
+};
+
+/**
+ * Source files looked at when walking a directory
+ */
+const SCAN_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.mts', '.cts', '.vue', '.svelte', '.astro'];
+
+/**
+ * Directories never walked into, besides those starting with a dot
+ */
+const SKIPPED_DIRECTORIES = ['node_modules', 'dist', 'build', 'coverage'];
+
+/**
+ * Variables Vite defines on import.meta.env itself
+ */
+const IMPORT_META_BUILT_INS = ['MODE', 'BASE_URL', 'PROD', 'DEV', 'SSR'];
+
+const ENV_OBJECT = String.raw`(process\.env|import\.meta\.env)`;
+// process.env.hasOwnProperty('X') is a method call, not a variable
+const DOT_ACCESS = new RegExp(String.raw`\b${ENV_OBJECT}\s*\??\.\s*([A-Za-z_$][\w$]*)(?![\w$])(?!\s*(?:\?\.\s*)?\()`, 'g');
+const BRACKET_ACCESS = new RegExp(String.raw`\b${ENV_OBJECT}\s*(?:\?\.)?\[\s*(['"\x60])([^'"\x60\]]+)\2\s*\]`, 'g');
+// { A, B: b, C = 'x' } = process.env, but not = process.env.NESTED
+const DESTRUCTURING = new RegExp(String.raw`\{([^{}]*)\}\s*=\s*${ENV_OBJECT}\b(?!\s*\??\.|\s*\[)`, 'g');
+
+/**
+ * Blank out comments, keeping every other character and line in place
+ *
+ * Strings are skipped so "http://" is not taken for a comment; quoted
+ * strings end at a line break, so a stray quote cannot hide the rest of
+ * the file.
+ * @param {string} content - Source code
+ * @returns {string} Code with comments replaced by spaces
+ */
+function stripComments(content) {
+  const blank = text => text.replace(/[^\r\n]/g, ' ');
+  let result = '';
+  let i = 0;
+  
+  while (i < content.length) {
+    const char = content[i];
+    let end = i + 1;
+    
+    if (char === '/' && content[i + 1] === '/') {
+      end = content.indexOf('\n', i);
+      end = end === -1 ? content.length : end;
+      result += blank(content.slice(i, end));
+    } else if (char === '/' && content[i + 1] === '*') {
+      end = content.indexOf('*/', i + 2);
+      end = end === -1 ? content.length : end + 2;
+      result += blank(content.slice(i, end));
+    } else if (char === '"' || char === "'" || char === '`') {
+      while (end < content.length && content[end] !== char && (char === '`' || content[end] !== '\n')) {
+        end += content[end] === '\\' ? 2 : 1;
+      }
+      end = Math.min(end + 1, content.length);
+      result += content.slice(i, end);
+    } else {
+      result += char;
+    }
+    
+    i = end;
+  }
+  
+  return result;
+}
+
+/**
+ * Find environment variable references in source code
+ *
+ * Covers process.env.X, process.env['X'], destructuring from process.env
+ * and the same forms on import.meta.env. Computed keys and references in
+ * comments are skipped.
+ * @param {string} source - Source code
+ * @returns {Object[]} References with name, line, column and object
+ */
+function findEnvReferences(source) {
+  const content = stripComments(source);
+  const lineStarts = [0];
+  for (let i = 0; i < content.length; i++) {
+    if (content[i] === '\n') lineStarts.push(i + 1);
+  }
+  
+  const references = [];
+  const add = (name, index, object) => {
+    let line = lineStarts.length - 1;
+    while (lineStarts[line] > index) line--;
+    references.push({ name, line: line + 1, column: index - lineStarts[line] + 1, object });
+  };
+  
+  for (const match of content.matchAll(DOT_ACCESS)) {
+    add(match[2], match.index + match[0].length - match[2].length, match[1]);
+  }
+  
+  for (const match of content.matchAll(BRACKET_ACCESS)) {
+    if (KEY_PATTERN.test(match[3])) {
+      add(match[3], match.index + match[0].indexOf(match[3]), match[1]);
+    }
+  }
+  
+  for (const match of content.matchAll(DESTRUCTURING)) {
+    let offset = match.index + 1;
+    for (const part of match[1].split(',')) {
+      const property = /^\s*(?:(['"])([^'"]+)\1|([A-Za-z_$][\w$]*))/.exec(part);
+      if (property && !part.trim().startsWith('...')) {
+        const name = property[2] || property[3];
+        add(name, offset + part.indexOf(name), match[2]);
+      }
+      offset += part.length + 1;
+    }
+  }
+  
+  return references.sort((a, b) => a.line - b.line || a.column - b.column);
+}
+
+/**
+ * List the source files to scan
+ * @param {string[]} paths - Files and directories, relative to cwd
+ * @param {Function} ignored - Predicate taking a relative path
+ * @param {string} cwd - Directory paths are relative to
+ * @returns {string[]} Relative file paths, sorted
+ */
+function listSourceFiles(paths, ignored, cwd) {
+  const files = [];
+  
+  const walk = relative => {
+    for (const entry of fs.readdirSync(path.join(cwd, relative), { withFileTypes: true })) {
+      const child = path.posix.join(relative, entry.name);
+      if (ignored(child, entry.name)) {
+        continue;
+      }
+      // Symlinked directories are not followed, so loops cannot occur
+      if (entry.isDirectory()) {
+        if (!entry.name.startsWith('.') && !SKIPPED_DIRECTORIES.includes(entry.name)) {
+          walk(child);
+        }
+      } else if (entry.isFile() && SCAN_EXTENSIONS.includes(path.extname(entry.name))) {
+        files.push(child);
+      }
+    }
+  };
+  
+  for (const given of paths) {
+    const relative = path.relative(cwd, path.resolve(cwd, given)).split(path.sep).join('/') || '.';
+    if (!fs.existsSync(path.join(cwd, relative))) {
+      throw new Error(`Path not found: ${given}`);
+    }
+    if (fs.statSync(path.join(cwd, relative)).isDirectory()) {
+      walk(relative === '.' ? '' : relative);
+    } else {
+      // Files named explicitly are scanned whatever their extension
+      files.push(relative);
+    }
+  }
+  
+  return [...new Set(files)].sort();
+}
+
+/**
+ * Compare the variables a source tree uses with the keys env files declare
+ *
+ * Reports variables that are used but declared in none of the files, used
+ * and declared but missing from a .env.example among them, and declared
+ * but never used.
+ * @param {Object} options - Scan options
+ * @param {string[]} options.paths - Files and directories to scan (default: .)
+ * @param {string[]} options.files - Env files declaring keys (default: those of .env and .env.example that exist)
+ * @param {string[]} options.exclude - Key patterns to leave out of the report
+ * @param {string[]} options.ignore - Path patterns to skip, matched against the relative path and the name
+ * @param {string} options.cwd - Directory paths are relative to (default: process.cwd())
+ * @returns {Object} Scanned files, used and declared keys, and the keys in each report
+ */
+function scanEnv(options = {}) {
+  const { paths = ['.'], files = null, exclude = [], ignore = [], cwd = process.cwd() } = options;
+  const excluded = exclude.map(compilePattern);
+  const ignorePatterns = ignore.map(compilePattern);
+  const ignored = (relative, name) => ignorePatterns.some(match => match(relative) || match(name));
+  
+  const envFiles = files || ['.env', '.env.example'].filter(file => fileExists(path.resolve(cwd, file)));
+  if (envFiles.length === 0) {
+    throw new Error('No env files to compare with: .env and .env.example do not exist, pass --file');
+  }
+  
+  // Keyed by variable name, which may well be constructor or __proto__
+  const declared = Object.create(null);
+  for (const file of envFiles) {
+    if (!fileExists(path.resolve(cwd, file))) {
+      throw new Error(`Environment file not found: ${file}`);
+    }
+    for (const entry of parseEntries(readFile(path.resolve(cwd, file)))) {
+      (declared[entry.key] = declared[entry.key] || []).push({ file, line: entry.line });
+    }
+  }
+  
+  const sources = listSourceFiles(paths, ignored, cwd);
+  const used = Object.create(null);
+  for (const file of sources) {
+    for (const reference of findEnvReferences(readFile(path.resolve(cwd, file)))) {
+      if (reference.object === 'import.meta.env' && IMPORT_META_BUILT_INS.includes(reference.name)) {
+        continue;
+      }
+      (used[reference.name] = used[reference.name] || []).push({ file, line: reference.line, column: reference.column });
+    }
+  }
+  
+  const reported = key => !excluded.some(match => match(key));
+  const examples = envFiles.filter(file => /\.example$/.test(file));
+  const declaredIn = (key, file) => (declared[key] || []).some(location => location.file === file);
+  
+  return {
+    files: sources,
+    envFiles,
+    used,
+    declared,
+    undeclared: Object.keys(used).filter(key => !declared[key] && reported(key)).sort()
+      .map(key => ({ key, locations: used[key] })),
+    undocumented: examples.length === 0 || examples.length === envFiles.length
+      ? []
+      : Object.keys(used).filter(key => declared[key] && reported(key) && !examples.some(file => declaredIn(key, file))).sort()
+        .map(key => ({ key, locations: used[key] })),
+    unused: Object.keys(declared).filter(key => !used[key] && reported(key)).sort()
+      .map(key => ({ key, locations: declared[key] }))
+  };
+}
+
+/**
+ * Pick the exit code describing a scan
+ * @param {Object} scan - Result from scanEnv
+ * @param {Object} options - Exit code options
+ * @param {boolean} options.strict - Also fail on declared keys that are never used (default: false)
+ * @returns {number} 0 clean, 2 problems found
+ */
+function scanExitCode(scan, options = {}) {
+  const { strict = false } = options;
+  if (scan.undeclared.length > 0 || scan.undocumented.length > 0 || (strict && scan.unused.length > 0)) {
+    return SCAN_EXIT_CODES.problems;
+  }
+  return SCAN_EXIT_CODES.clean;
+}
+
+/**
+ * Format a scan for output
+ * @param {Object} scan - Result from scanEnv
+ * @param {string} format - Output format (text, json)
+ * @returns {string} Formatted report
+ */
+function formatScan(scan, format = 'text') {
+  switch (format) {
+    case 'json':
+      return JSON.stringify({
+        files: scan.files.length,
+        envFiles: scan.envFiles,
+        undeclared: scan.undeclared,
+        undocumented: scan.undocumented,
+        unused: scan.unused
+      }, null, 2);
+    
+    case 'text': {
+      const lines = [];
+      const section = (title, entries, withColumn) => {
+        if (entries.length === 0) return;
+        const width = Math.max(...entries.map(entry => entry.key.length));
+        lines.push(title);
+        for (const { key, locations } of entries) {
+          const where = locations.map(l => (withColumn ? `${l.file}:${l.line}:${l.column}` : `${l.file}:${l.line}`));
+          lines.push(`  ${key.padEnd(width)}  ${where.join(', ')}`);
+        }
+      };
+      const examples = scan.envFiles.filter(file => /\.example$/.test(file));
+      
+      section(`Used but not declared in ${scan.envFiles.join(', ')}:`, scan.undeclared, true);
+      section(`Used but missing from ${examples.join(', ')}:`, scan.undocumented, true);
+      section('Declared but never used:', scan.unused, false);
+      
+      const counts = [
+        [scan.undeclared.length, 'undeclared'],
+        [scan.undocumented.length, `missing from ${examples.join(', ')}`],
+        [scan.unused.length, 'unused']
+      ].filter(([count]) => count > 0).map(([count, label]) => `${count} ${label}`);
+      lines.push(`Scanned ${scan.files.length} file(s): ${counts.length > 0 ? counts.join(', ') : 'no problems found'}`);
+      return lines.join('\n');
+    }
+    
+    default:
+      throw new Error(`Unsupported scan format: ${format}. Supported formats: ${SCAN_FORMATS.join(', ')}`);
+  }
+}
+
+module.exports = {
+  SCAN_FORMATS,
+  SCAN_EXIT_CODES,
+  findEnvReferences,
+  scanEnv,
+  scanExitCode,
+  formatScan
+};
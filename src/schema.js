@@ -0,0 +1,157 @@
+const { readConfig } = require('./reverse');
+
+const SCHEMA_TYPES = ['string', 'number', 'boolean', 'url', 'email', 'port', 'json'];
+const SCHEMA_FIELDS = ['required', 'type', 'pattern', 'enum', 'default', 'description'];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const BOOLEAN_VALUES = ['true', 'false', '1', '0', 'yes', 'no', 'on', 'off'];
+
+/**
+ * Load a schema from a JSON/YAML file or use an object as-is
+ * @param {string|Object} schema - Schema file path or schema object
+ * @returns {Object} Schema keyed by variable name
+ */
+function loadSchema(schema) {
+  const definition = typeof schema === 'string' ? readConfig(schema) : schema;
+  
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    throw new Error('Schema must be an object keyed by variable name');
+  }
+  
+  for (const [key, rules] of Object.entries(definition)) {
+    if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+      throw new Error(`Schema for ${key} must be an object`);
+    }
+    
+    const unknown = Object.keys(rules).filter(field => !SCHEMA_FIELDS.includes(field));
+    if (unknown.length > 0) {
+      throw new Error(`Schema for ${key} has unknown fields: ${unknown.join(', ')}`);
+    }
+    
+    if (rules.type && !SCHEMA_TYPES.includes(rules.type)) {
+      throw new Error(`Schema for ${key} has unsupported type "${rules.type}". Supported types: ${SCHEMA_TYPES.join(', ')}`);
+    }
+    
+    if (rules.enum && !Array.isArray(rules.enum)) {
+      throw new Error(`Schema for ${key} must list enum values as an array`);
+    }
+  }
+  
+  return definition;
+}
+
+/**
+ * Check a value against a schema type
+ * @param {string} value - Value to check
+ * @param {string} type - Schema type
+ * @returns {boolean} True when the value matches the type
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case 'number':
+      return value.trim() !== '' && Number.isFinite(Number(value));
+    case 'boolean':
+      return BOOLEAN_VALUES.includes(value.toLowerCase());
+    case 'url':
+      try {
+        return Boolean(new URL(value).protocol);
+      } catch (error) {
+        return false;
+      }
+    case 'email':
+      return EMAIL_PATTERN.test(value);
+    case 'port': {
+      const port = Number(value);
+      return /^\d+$/.test(value) && port >= 1 && port <= 65535;
+    }
+    case 'json':
+      try {
+        JSON.parse(value);
+        return true;
+      } catch (error) {
+        return false;
+      }
+    default:
+      return true;
+  }
+}
+
+/**
+ * Validate environment variables against a schema
+ *
+ * Missing keys that declare a default are filled in. Each violation carries
+ * the key, the rule that failed and, when known, the source line.
+ * @param {Object} env - Environment variables object
+ * @param {Object} schema - Schema keyed by variable name
+ * @param {Object} options - Validation options
+ * @param {Object} options.lines - Source line numbers keyed by variable name
+ * @param {string} options.file - Source file name, used in messages
+ * @param {Object} options.files - Source file names keyed by variable name
+ * @returns {Object} Result with valid flag, violations and the completed env
+ */
+function validateEnv(env, schema, options = {}) {
+  const { lines = {}, file = null, files = {} } = options;
+  const result = { ...env };
+  const violations = [];
+  
+  function report(key, rule, message) {
+    const violation = { key, rule, message };
+    if (lines[key]) violation.line = lines[key];
+    if (files[key] || file) violation.file = files[key] || file;
+    violations.push(violation);
+  }
+  
+  for (const [key, rules] of Object.entries(schema)) {
+    const present = Object.prototype.hasOwnProperty.call(env, key) && env[key] !== '';
+    
+    if (!present) {
+      if (rules.default !== undefined) {
+        result[key] = String(rules.default);
+      } else if (rules.required) {
+        report(key, 'required', `${key} is required${rules.description ? ` (${rules.description})` : ''}`);
+      }
+      continue;
+    }
+    
+    const value = String(env[key]);
+    
+    if (rules.type && !matchesType(value, rules.type)) {
+      report(key, 'type', `${key} must be a valid ${rules.type}, got "${value}"`);
+    }
+    
+    if (rules.pattern && !new RegExp(rules.pattern).test(value)) {
+      report(key, 'pattern', `${key} must match /${rules.pattern}/`);
+    }
+    
+    if (rules.enum && !rules.enum.map(String).includes(value)) {
+      report(key, 'enum', `${key} must be one of ${rules.enum.join(', ')}, got "${value}"`);
+    }
+  }
+  
+  return {
+    valid: violations.length === 0,
+    violations,
+    env: result
+  };
+}
+
+/**
+ * Format schema violations as a readable list
+ * @param {Object[]} violations - Violations from validateEnv
+ * @returns {string} One violation per line
+ */
+function formatViolations(violations) {
+  return violations.map(violation => {
+    const location = violation.line
+      ? `${violation.file || 'line'}:${violation.line} `
+      : '';
+    return `  - ${location}${violation.message}`;
+  }).join('\n');
+}
+
+module.exports = {
+  SCHEMA_TYPES,
+  loadSchema,
+  validateEnv,
+  formatViolations
+};
@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+
+const MASK_STYLES = ['full', 'partial', 'fixed', 'hash'];
+const REDACTED = '***REDACTED***';
+
+const MASK_SALT_ENV_VAR = 'ENV2JSON_MASK_SALT';
+
+// Hash masks must match across runs to be comparable, so the default salt
+// is fixed; setting a private one stops short secrets being looked up in
+// a table of hashes made with this one
+const DEFAULT_MASK_SALT = 'env2json-cli';
+
+/**
+ * Known credential formats recognised by automatic detection
+ */
+const SECRET_PATTERNS = [
+  { name: 'AWS access key', pattern: /\b(AKIA|ASIA)[0-9A-Z]{16}\b/ },
+  { name: 'GitHub token', pattern: /\b(gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})\b/ },
+  { name: 'Slack token', pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}/ },
+  { name: 'Stripe key', pattern: /\b[sr]k_(live|test)_[A-Za-z0-9]{16,}\b/ },
+  { name: 'JWT', pattern: /\beyJ[A-Za-z0-9_-]{5,}\.eyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]+/ },
+  { name: 'private key', pattern: /-----BEGIN ([A-Z]+ )*PRIVATE KEY( BLOCK)?-----/ },
+  { name: 'URL with password', pattern: /\b[a-z][a-z0-9+.-]*:\/\/[^\s:@/]*:[^\s@/]+@/i },
+  // Sentry DSNs and similar put an access key in the user part
+  { name: 'URL with access key', pattern: /\b[a-z][a-z0-9+.-]*:\/\/[A-Za-z0-9_-]{20,}@/i }
+];
+
+/**
+ * Key names that usually hold credentials
+ */
+const SECRET_KEY_PATTERN = /(PASSWORD|PASSWD|SECRET|TOKEN|CREDENTIAL|(^|_)(API|PRIVATE|ACCESS|ENCRYPTION)?_?KEY$)/i;
+
+/**
+ * Escape a string for use inside a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Shannon entropy of a string in bits per character
+ * @param {string} value - Value to measure
+ * @returns {number} Entropy
+ */
+function shannonEntropy(value) {
+  const counts = {};
+  for (const char of value) {
+    counts[char] = (counts[char] || 0) + 1;
+  }
+  
+  let entropy = 0;
+  for (const count of Object.values(counts)) {
+    const probability = count / value.length;
+    entropy -= probability * Math.log2(probability);
+  }
+  
+  return entropy;
+}
+
+/**
+ * Check whether a value looks like a random token
+ *
+ * Hex strings need 32+ characters, other token-like strings 20+ characters
+ * with letters and digits and at least 4 bits of entropy per character.
+ * @param {string} value - Value to check
+ * @returns {boolean} True for high-entropy values
+ */
+function isHighEntropy(value) {
+  if (/^[0-9a-f]+$/i.test(value)) {
+    return value.length >= 32 && shannonEntropy(value) >= 3;
+  }
+  
+  return value.length >= 20 &&
+    /^[A-Za-z0-9+/=_\-.]+$/.test(value) &&
+    /[A-Za-z]/.test(value) &&
+    /\d/.test(value) &&
+    shannonEntropy(value) >= 4;
+}
+
+/**
+ * Detect whether a variable holds a secret
+ * @param {string} key - Variable name
+ * @param {string} value - Variable value
+ * @returns {string|null} Reason the value is considered secret, or null
+ */
+function detectSecret(key, value) {
+  const text = String(value);
+  
+  if (SECRET_KEY_PATTERN.test(key) && text !== '') {
+    return 'secret key name';
+  }
+  
+  const known = SECRET_PATTERNS.find(({ pattern }) => pattern.test(text));
+  if (known) {
+    return known.name;
+  }
+  
+  if (isHighEntropy(text)) {
+    return 'high-entropy value';
+  }
+  
+  return null;
+}
+
+/**
+ * Mask a single value
+ *
+ * The hash style is an HMAC keyed with the salt, then $ENV2JSON_MASK_SALT,
+ * then a fixed default, so the same value masks the same way in every run
+ * that uses the same salt.
+ * @param {string} value - Value to mask
+ * @param {string} style - full, partial (keep last 4), fixed (8 stars) or hash
+ * @param {string} salt - Salt for the hash style
+ * @returns {string} Masked value
+ */
+function maskValue(value, style = 'full', salt = null) {
+  const text = String(value);
+  
+  switch (style) {
+    case 'full':
+      return REDACTED;
+    case 'partial':
+      // Short values would be mostly revealed, so they are fully masked
+      return text.length > 8 ? `****${text.slice(-4)}` : '********';
+    case 'fixed':
+      return '********';
+    case 'hash': {
+      const key = salt || process.env[MASK_SALT_ENV_VAR] || DEFAULT_MASK_SALT;
+      return `hmac:${crypto.createHmac('sha256', key).update(text).digest('hex').slice(0, 12)}`;
+    }
+    default:
+      throw new Error(`Unsupported mask style: ${style}. Supported styles: ${MASK_STYLES.join(', ')}`);
+  }
+}
+
+module.exports = {
+  MASK_STYLES,
+  MASK_SALT_ENV_VAR,
+  DEFAULT_MASK_SALT,
+  REDACTED,
+  SECRET_PATTERNS,
+  escapeRegExp,
+  shannonEntropy,
+  detectSecret,
+  maskValue
+};
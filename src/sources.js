@@ -0,0 +1,160 @@
+const yaml = require('js-yaml');
+const { EnvError, ERROR_CODES } = require('./errors');
+
+/**
+ * Kinds of input convert can read
+ */
+const SOURCE_TYPES = ['env', 'docker-inspect', 'k8s-configmap'];
+
+/**
+ * Parsers added with registerParser, keyed by source type
+ */
+const PARSERS = {};
+
+/**
+ * Name given to the live environment in messages and provenance
+ */
+const PROCESS_ENV_NAME = 'process.env';
+
+/**
+ * Read the environment of a container or image from `docker inspect` output
+ * @param {string} content - JSON printed by docker inspect
+ * @param {string} file - Where the content came from, used in errors
+ * @returns {Object} Values from Config.Env
+ */
+function parseDockerInspect(content, file) {
+  let inspected;
+  try {
+    inspected = JSON.parse(content);
+  } catch (error) {
+    throw new EnvError(ERROR_CODES.INVALID_INPUT, `Invalid docker inspect output in ${file}: ${error.message}`, { file });
+  }
+  
+  const objects = Array.isArray(inspected) ? inspected : [inspected];
+  if (objects.length !== 1) {
+    throw new EnvError(ERROR_CODES.INVALID_INPUT,
+      `docker inspect output in ${file} describes ${objects.length} objects; inspect a single container or image`, { file });
+  }
+  
+  const config = objects[0] && objects[0].Config;
+  if (!config || !Array.isArray(config.Env)) {
+    throw new EnvError(ERROR_CODES.INVALID_INPUT, `No Config.Env found in docker inspect output in ${file}`, { file });
+  }
+  
+  const env = {};
+  for (const entry of config.Env) {
+    // Docker keeps KEY without = for variables passed through unset
+    const text = String(entry);
+    const equals = text.indexOf('=');
+    if (equals > 0) {
+      env[text.slice(0, equals)] = text.slice(equals + 1);
+    }
+  }
+  return env;
+}
+
+/**
+ * Read the data of Kubernetes ConfigMaps and Secrets
+ *
+ * Accepts YAML or JSON as printed by kubectl get -o yaml|json, including
+ * multi-document files and List objects. As with envFrom, later objects
+ * win; Secret data is base64-decoded and stringData is used as is.
+ * @param {string} content - YAML or JSON manifest
+ * @param {string} file - Where the content came from, used in errors
+ * @returns {Object} Values from data and stringData
+ */
+function parseConfigMap(content, file) {
+  let documents;
+  try {
+    documents = yaml.loadAll(content);
+  } catch (error) {
+    throw new EnvError(ERROR_CODES.INVALID_INPUT, `Invalid Kubernetes manifest in ${file}: ${error.message}`, { file });
+  }
+  
+  const objects = [];
+  for (const document of documents.filter(Boolean)) {
+    objects.push(...(document.kind === 'List' && Array.isArray(document.items) ? document.items : [document]));
+  }
+  
+  const env = {};
+  let found = 0;
+  for (const object of objects) {
+    if (!object || (object.kind !== 'ConfigMap' && object.kind !== 'Secret')) {
+      continue;
+    }
+    found++;
+    
+    for (const [key, value] of Object.entries(object.data || {})) {
+      env[key] = object.kind === 'Secret' ? Buffer.from(String(value), 'base64').toString('utf8') : String(value);
+    }
+    for (const [key, value] of Object.entries(object.stringData || {})) {
+      env[key] = String(value);
+    }
+  }
+  
+  if (found === 0) {
+    throw new EnvError(ERROR_CODES.INVALID_INPUT, `No ConfigMap or Secret found in ${file}`, { file });
+  }
+  return env;
+}
+
+/**
+ * Add an input type for --from
+ * @param {string} name - Source type: lowercase letters, digits and dashes
+ * @param {Function} parse - Receives the content and file name, returns values keyed by name
+ */
+function registerParser(name, parse) {
+  if (typeof name !== 'string' || !/^[a-z0-9][a-z0-9-]*$/.test(name)) {
+    throw new Error(`Invalid source type "${name}": use lowercase letters, digits and dashes`);
+  }
+  if (SOURCE_TYPES.includes(name)) {
+    throw new Error(`Source type ${name} is already registered`);
+  }
+  if (typeof parse !== 'function') {
+    throw new Error(`Source type ${name} needs a parser function`);
+  }
+  
+  PARSERS[name] = parse;
+  SOURCE_TYPES.push(name);
+}
+
+/**
+ * Pull env values out of a document
+ * @param {string} content - Document content
+ * @param {string} from - Source type other than env: docker-inspect, k8s-configmap or a registered one
+ * @param {string} file - Where the content came from, used in errors
+ * @returns {Object} Values keyed by name
+ */
+function extractEnv(content, from, file) {
+  switch (from) {
+    case 'docker-inspect':
+      return parseDockerInspect(content, file);
+    case 'k8s-configmap':
+      return parseConfigMap(content, file);
+    default: {
+      if (!Object.prototype.hasOwnProperty.call(PARSERS, from)) {
+        throw new EnvError(ERROR_CODES.INVALID_INPUT, `Unsupported source: ${from}. Supported sources: ${SOURCE_TYPES.join(', ')}`);
+      }
+      
+      const values = PARSERS[from](content, file);
+      if (!values || typeof values !== 'object' || Array.isArray(values)) {
+        throw new EnvError(ERROR_CODES.INVALID_INPUT, `The ${from} parser returned no values for ${file}`, { file });
+      }
+      
+      const env = {};
+      for (const [key, value] of Object.entries(values)) {
+        env[key] = value === null || value === undefined ? '' : String(value);
+      }
+      return env;
+    }
+  }
+}
+
+module.exports = {
+  SOURCE_TYPES,
+  PROCESS_ENV_NAME,
+  parseDockerInspect,
+  parseConfigMap,
+  registerParser,
+  extractEnv
+};
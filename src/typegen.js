@@ -0,0 +1,229 @@
+const IDENTIFIER_PATTERN = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+const HEADER = '// Generated by env2json-cli. Do not edit; regenerate when the env files change.';
+
+/**
+ * Runtime helpers for config modules, keyed by the value type they parse
+ */
+const CONVERTERS = {
+  number: {
+    name: 'toNumber',
+    type: 'number',
+    body: [
+      '  const number = Number(value);',
+      '  if (value.trim() === \'\' || !Number.isFinite(number)) {',
+      '    throw new Error(`Environment variable ${name} must be a number, got "${value}"`);',
+      '  }',
+      '  return number;'
+    ]
+  },
+  boolean: {
+    name: 'toBoolean',
+    type: 'boolean',
+    body: [
+      '  const lower = value.trim().toLowerCase();',
+      '  if ([\'true\', \'1\', \'yes\', \'on\'].includes(lower)) return true;',
+      '  if ([\'false\', \'0\', \'no\', \'off\'].includes(lower)) return false;',
+      '  throw new Error(`Environment variable ${name} must be a boolean, got "${value}"`);'
+    ]
+  },
+  json: {
+    name: 'toJson',
+    type: 'unknown',
+    body: [
+      '  try {',
+      '    return JSON.parse(value);',
+      '  } catch (error) {',
+      '    throw new Error(`Environment variable ${name} must be valid JSON`);',
+      '  }'
+    ]
+  }
+};
+
+/**
+ * Work out the type of a variable from its (possibly coerced) value
+ * @param {*} value - Value after type coercion
+ * @returns {string} string, number, boolean or json
+ */
+function valueType(value) {
+  if (typeof value === 'number') return 'number';
+  if (typeof value === 'boolean') return 'boolean';
+  if (value && typeof value === 'object') return 'json';
+  return 'string';
+}
+
+/**
+ * Quote a property name when it is not a valid identifier
+ * @param {string} key - Property name
+ * @returns {string} Property name for an interface or object literal
+ */
+function propertyName(key) {
+  return IDENTIFIER_PATTERN.test(key) ? key : JSON.stringify(key);
+}
+
+/**
+ * List the variables to declare, required ones first in file order
+ * @param {Object} obj - Variables from the env files
+ * @param {string[]} optional - Keys that only appear in .env.example
+ * @returns {Object[]} Variables with key, type and required flag
+ */
+function collectVariables(obj, optional = []) {
+  const variables = Object.entries(obj).map(([key, value]) => ({ key, type: valueType(value), required: true }));
+  
+  for (const key of optional) {
+    if (!Object.prototype.hasOwnProperty.call(obj, key)) {
+      variables.push({ key, type: 'string', required: false });
+    }
+  }
+  
+  return variables;
+}
+
+/**
+ * Generate a .d.ts declaring the environment variables
+ *
+ * Declarations always use string, since that is what process.env and
+ * import.meta.env hold at runtime.
+ * @param {Object} obj - Variables from the env files
+ * @param {Object} options - Declaration options
+ * @param {string} options.target - process (NodeJS.ProcessEnv) or import-meta (ImportMetaEnv)
+ * @param {string[]} options.optional - Keys that only appear in .env.example
+ * @returns {string} Declaration file content
+ */
+function formatDeclarations(obj, options = {}) {
+  const { target = 'process', optional = [] } = options;
+  const members = collectVariables(obj, optional)
+    .map(({ key, required }) => `readonly ${propertyName(key)}${required ? '' : '?'}: string;`);
+  
+  if (target === 'import-meta') {
+    return [
+      HEADER,
+      '',
+      'interface ImportMetaEnv {',
+      ...members.map(member => `  ${member}`),
+      '}',
+      '',
+      'interface ImportMeta {',
+      '  readonly env: ImportMetaEnv;',
+      '}',
+      ''
+    ].join('\n');
+  }
+  
+  return [
+    HEADER,
+    '',
+    'declare global {',
+    '  namespace NodeJS {',
+    '    interface ProcessEnv {',
+    ...members.map(member => `      ${member}`),
+    '    }',
+    '  }',
+    '}',
+    '',
+    'export {};',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Generate an ES module exporting typed, validated accessors
+ *
+ * Each accessor reads process.env when used, throws when a required
+ * variable is missing and converts numbers, booleans and JSON according to
+ * the types detected with --types/--type. validateConfig() reads every
+ * accessor and reports all problems at once.
+ * @param {Object} obj - Variables from the env files, after type coercion
+ * @param {Object} options - Module options
+ * @param {boolean} options.typescript - Emit TypeScript instead of JavaScript (default: false)
+ * @param {string[]} options.optional - Keys that only appear in .env.example
+ * @returns {string} Module source
+ */
+function formatConfigModule(obj, options = {}) {
+  const { typescript = false, optional = [] } = options;
+  const variables = collectVariables(obj, optional);
+  const annotate = type => (typescript ? `: ${type}` : '');
+  const lines = [HEADER, ''];
+  
+  lines.push(
+    `function read(name${annotate('string')}, required${annotate('boolean')})${annotate('string | undefined')} {`,
+    '  const value = process.env[name];',
+    '  if (value === undefined && required) {',
+    '    throw new Error(`Missing required environment variable ${name}`);',
+    '  }',
+    '  return value === \'\' && !required ? undefined : value;',
+    '}',
+    ''
+  );
+  
+  const used = new Set(variables.map(variable => variable.type));
+  for (const [type, converter] of Object.entries(CONVERTERS)) {
+    if (used.has(type)) {
+      lines.push(
+        `function ${converter.name}(name${annotate('string')}, value${annotate('string')})${annotate(converter.type)} {`,
+        ...converter.body,
+        '}',
+        ''
+      );
+    }
+  }
+  
+  lines.push('export const config = {');
+  variables.forEach(({ key, type, required }, index) => {
+    const converter = CONVERTERS[type];
+    const resultType = `${converter ? converter.type : 'string'}${required ? '' : ' | undefined'}`;
+    const name = `'${key}'`;
+    const read = `read(${name}, ${required})`;
+    let body;
+    
+    if (!converter) {
+      body = `return ${read}${required && typescript ? ' as string' : ''};`;
+    } else if (required) {
+      body = `return ${converter.name}(${name}, ${read}${typescript ? ' as string' : ''});`;
+    } else {
+      body = `const value = ${read};\n    return value === undefined ? undefined : ${converter.name}(${name}, value);`;
+    }
+    
+    if (!typescript) {
+      lines.push(`  /** @type {${resultType}} */`);
+    }
+    lines.push(
+      `  get ${propertyName(key)}()${annotate(resultType)} {`,
+      `    ${body}`,
+      `  }${index < variables.length - 1 ? ',' : ''}`
+    );
+  });
+  lines.push('};', '');
+  
+  if (typescript) {
+    lines.push('export type Config = typeof config;', '');
+  }
+  
+  lines.push(
+    '/**',
+    ' * Read every variable and throw one error listing all problems',
+    ' */',
+    `export function validateConfig()${annotate('void')} {`,
+    `  const errors${annotate('string[]')} = [];`,
+    '  for (const key of Object.keys(config)) {',
+    '    try {',
+    `      void config[key${typescript ? ' as keyof Config' : ''}];`,
+    '    } catch (error) {',
+    `      errors.push(${typescript ? '(error as Error)' : 'error'}.message);`,
+    '    }',
+    '  }',
+    '  if (errors.length > 0) {',
+    '    throw new Error(`Invalid environment:\\n  - ${errors.join(\'\\n  - \')}`);',
+    '  }',
+    '}',
+    '',
+    'export default config;',
+    ''
+  );
+  
+  return lines.join('\n');
+}
+
+module.exports = {
+  formatDeclarations,
+  formatConfigModule
+};
@@ -0,0 +1,147 @@
+const VALUE_TYPES = ['auto', 'string', 'number', 'boolean', 'json'];
+
+const NUMBER_PATTERN = /^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/;
+const TRUE_VALUES = ['true', '1', 'yes', 'on'];
+const FALSE_VALUES = ['false', '0', 'no', 'off'];
+
+/**
+ * Detect the type a string value most likely represents
+ *
+ * Numbers with leading zeros and integers beyond the safe range are kept
+ * as strings so ZIP codes and IDs are not mangled.
+ * @param {string} value - Raw string value
+ * @returns {string} One of number, boolean, null, json or string
+ */
+function detectType(value) {
+  const trimmed = String(value).trim();
+  
+  if (NUMBER_PATTERN.test(trimmed)) {
+    const number = Number(trimmed);
+    if (Number.isFinite(number) && (!Number.isInteger(number) || Number.isSafeInteger(number))) {
+      return 'number';
+    }
+  }
+  
+  if (/^(true|false)$/i.test(trimmed)) return 'boolean';
+  if (trimmed === 'null') return 'null';
+  
+  if (/^[[{]/.test(trimmed)) {
+    try {
+      JSON.parse(trimmed);
+      return 'json';
+    } catch (error) {
+      return 'string';
+    }
+  }
+  
+  return 'string';
+}
+
+/**
+ * Convert a string value to the requested type
+ * @param {string} value - Raw string value
+ * @param {string} type - Target type (auto, string, number, boolean, json)
+ * @param {string} key - Key name, used in error messages
+ * @returns {*} Converted value
+ */
+function coerceValue(value, type = 'auto', key = 'value') {
+  if (typeof value !== 'string') return value;
+  
+  const trimmed = value.trim();
+  
+  switch (type) {
+    case 'string':
+      return value;
+    
+    case 'number': {
+      const number = Number(trimmed);
+      if (trimmed === '' || !Number.isFinite(number)) {
+        throw new Error(`Cannot convert ${key} to number: "${value}"`);
+      }
+      return number;
+    }
+    
+    case 'boolean': {
+      const lower = trimmed.toLowerCase();
+      if (TRUE_VALUES.includes(lower)) return true;
+      if (FALSE_VALUES.includes(lower)) return false;
+      throw new Error(`Cannot convert ${key} to boolean: "${value}"`);
+    }
+    
+    case 'json':
+      try {
+        return JSON.parse(trimmed);
+      } catch (error) {
+        throw new Error(`Cannot convert ${key} to JSON: ${error.message}`);
+      }
+    
+    case 'auto':
+      switch (detectType(trimmed)) {
+        case 'number': return Number(trimmed);
+        case 'boolean': return trimmed.toLowerCase() === 'true';
+        case 'null': return null;
+        case 'json': return JSON.parse(trimmed);
+        default: return value;
+      }
+    
+    default:
+      throw new Error(`Unsupported type for ${key}: ${type}. Supported types: ${VALUE_TYPES.join(', ')}`);
+  }
+}
+
+/**
+ * Coerce environment variable values into typed values
+ * @param {Object} env - Environment variables object
+ * @param {Object} options - Coercion options
+ * @param {string} options.mode - Default type for every key (default: string)
+ * @param {Object} options.overrides - Per-key types, e.g. { ZIP_CODE: 'string' }
+ * @returns {Object} Environment variables with typed values
+ */
+function coerceTypes(env, options = {}) {
+  const { mode = 'string', overrides = {} } = options;
+  
+  if (!VALUE_TYPES.includes(mode)) {
+    throw new Error(`Unsupported types mode: ${mode}. Supported types: ${VALUE_TYPES.join(', ')}`);
+  }
+  
+  const typed = {};
+  for (const [key, value] of Object.entries(env)) {
+    const type = Object.prototype.hasOwnProperty.call(overrides, key) ? overrides[key] : mode;
+    typed[key] = coerceValue(value, type, key);
+  }
+  
+  return typed;
+}
+
+/**
+ * Parse KEY:type pairs into an overrides object
+ * @param {string[]} pairs - Pairs such as ['ZIP_CODE:string', 'PORT:number']
+ * @returns {Object} Overrides keyed by variable name
+ */
+function parseTypeOverrides(pairs = []) {
+  const overrides = {};
+  
+  for (const pair of pairs) {
+    const separator = pair.lastIndexOf(':');
+    if (separator <= 0) {
+      throw new Error(`Invalid type override "${pair}". Expected KEY:type`);
+    }
+    
+    const type = pair.slice(separator + 1).trim();
+    if (!VALUE_TYPES.includes(type)) {
+      throw new Error(`Unsupported type in "${pair}". Supported types: ${VALUE_TYPES.join(', ')}`);
+    }
+    
+    overrides[pair.slice(0, separator).trim()] = type;
+  }
+  
+  return overrides;
+}
+
+module.exports = {
+  VALUE_TYPES,
+  detectType,
+  coerceValue,
+  coerceTypes,
+  parseTypeOverrides
+};
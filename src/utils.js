@@ -1,5 +1,6 @@
 const fs = require('fs');
 const path = require('path');
+const { escapeRegExp, detectSecret, maskValue } = require('./secrets');
 
 /**
  * Read file content with error handling
@@ -18,14 +19,25 @@ function readFile(filePath) {
  * Write content to file with error handling
  * @param {string} filePath - Path to write to
  * @param {string} content - Content to write
+ * @param {Object} options - Write options
+ * @param {number} options.mode - File permissions, also applied when the file already exists
  */
-function writeFile(filePath, content) {
+function writeFile(filePath, content, options = {}) {
+  const { mode = null } = options;
   try {
     const dir = path.dirname(filePath);
     if (!fs.existsSync(dir)) {
       fs.mkdirSync(dir, { recursive: true });
     }
-    fs.writeFileSync(filePath, content, 'utf8');
+    if (mode === null) {
+      fs.writeFileSync(filePath, content, 'utf8');
+    } else {
+      // The mode only applies to new files, so existing ones are narrowed first
+      if (fs.existsSync(filePath)) {
+        fs.chmodSync(filePath, mode);
+      }
+      fs.writeFileSync(filePath, content, { encoding: 'utf8', mode });
+    }
   } catch (error) {
     throw new Error(`Failed to write file ${filePath}: ${error.message}`);
   }
@@ -44,110 +56,66 @@ function fileExists(filePath) {
   }
 }
 
+/**
+ * Read env content from a string, Buffer or readable stream
+ * @param {string|Buffer|Stream} source - Content or a stream to read it from
+ * @returns {Promise<string>} Content as UTF-8 text
+ */
+function readSource(source) {
+  if (typeof source === 'string') {
+    return Promise.resolve(source);
+  }
+  if (Buffer.isBuffer(source)) {
+    return Promise.resolve(source.toString('utf8'));
+  }
+  if (!source || typeof source.on !== 'function') {
+    return Promise.reject(new Error('Source must be a string, Buffer or readable stream'));
+  }
+  
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    source.on('data', chunk => chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk)));
+    source.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    source.on('error', reject);
+  });
+}
+
 /**
  * Mask sensitive values in an object
+ *
+ * A value is masked when its key or value contains one of the redact terms,
+ * or, with auto detection, when it looks like a credential.
  * @param {Object} obj - Object to mask
- * @param {string[]} redactKeys - Keys to redact
+ * @param {string[]} redactKeys - Terms to redact, matched case-insensitively
+ * @param {Object} options - Masking options
+ * @param {boolean} options.auto - Detect credentials and high-entropy values (default: false)
+ * @param {string} options.style - Mask style: full, partial, fixed or hash (default: full)
+ * @param {string} options.salt - Salt for the hash style
  * @returns {Object} Masked object
  */
-function maskSecrets(obj, redactKeys = []) {
-  if (!redactKeys.length) return obj;
+function maskSecrets(obj, redactKeys = [], options = {}) {
+  const { auto = false, style = 'full', salt = null } = options;
+  if (!redactKeys.length && !auto) return obj;
   
   const masked = { ...obj };
-  const redactPattern = new RegExp(redactKeys.join('|'), 'i');
+  const redactPattern = redactKeys.length
+    ? new RegExp(redactKeys.map(escapeRegExp).join('|'), 'i')
+    : null;
   
   for (const [key, value] of Object.entries(masked)) {
-    if (redactPattern.test(key) || redactPattern.test(String(value))) {
-      masked[key] = '***REDACTED***';
+    const matched = redactPattern && (redactPattern.test(key) || redactPattern.test(String(value)));
+    if (matched || (auto && detectSecret(key, value))) {
+      masked[key] = maskValue(value, style, salt);
     }
   }
   
   return masked;
 }
 
-/**
- * Parse command line arguments
- * @param {string[]} args - Command line arguments
- * @returns {Object} Parsed arguments
- */
-function parseArgs(args) {
-  const parsed = {
-    file: '.env',
-    format: 'json',
-    output: null,
-    whitelist: [],
-    exclude: [],
-    prefix: null,
-    redact: [],
-    generateExample: false,
-    help: false
-  };
-  
-  for (let i = 0; i < args.length; i++) {
-    const arg = args[i];
-    
-    if (arg === '--help' || arg === '-h') {
-      parsed.help = true;
-    } else if (arg.startsWith('--format=')) {
-      parsed.format = arg.split('=')[1];
-    } else if (arg.startsWith('--output=')) {
-      parsed.output = arg.split('=')[1];
-    } else if (arg.startsWith('--whitelist=')) {
-      parsed.whitelist = arg.split('=')[1].split(',').map(s => s.trim());
-    } else if (arg.startsWith('--exclude=')) {
-      parsed.exclude = arg.split('=')[1].split(',').map(s => s.trim());
-    } else if (arg.startsWith('--prefix=')) {
-      parsed.prefix = arg.split('=')[1];
-    } else if (arg.startsWith('--redact=')) {
-      parsed.redact = arg.split('=')[1].split(',').map(s => s.trim());
-    } else if (arg === '--generate-example') {
-      parsed.generateExample = true;
-    } else if (!arg.startsWith('--') && !parsed.file) {
-      parsed.file = arg;
-    } else if (!arg.startsWith('--')) {
-      parsed.file = arg;
-    }
-  }
-  
-  return parsed;
-}
-
-/**
- * Display help message
- */
-function showHelp() {
-  console.log(`
-env-to-json - Convert .env files to JSON/YAML
-
-Usage:
-  env-to-json [file] [options]
-
-Options:
-  --format=json|yaml|js     Output format (default: json)
-  --output=filename         Save to file instead of stdout
-  --whitelist=KEY1,KEY2     Only include these keys
-  --exclude=KEY1,KEY2       Exclude these keys
-  --prefix=PREFIX_          Only keys starting with prefix
-  --redact=PASS,SECRET      Redact sensitive keys/values
-  --generate-example        Generate .env.example file
-  --help, -h               Show this help
-
-Examples:
-  env-to-json                              # Convert .env to JSON
-  env-to-json .env.local --format=yaml     # Convert to YAML
-  env-to-json --whitelist=PORT,DB_HOST     # Filter specific keys
-  env-to-json --exclude=SECRET --output=config.json
-  env-to-json --prefix=REACT_APP_ --format=yaml
-  env-to-json --redact=PASSWORD,TOKEN --format=json
-  env-to-json --generate-example
-`);
-}
-
 module.exports = {
   readFile,
   writeFile,
   fileExists,
-  maskSecrets,
-  parseArgs,
-  showHelp
+  readSource,
+  maskSecrets
 };
\ No newline at end of file
@@ -0,0 +1,182 @@
+const fs = require('fs');
+const path = require('path');
+const { convertEnv, loadEnv } = require('./index');
+const { layerCandidates } = require('./layers');
+const { compareEnvs, exampleFileFor } = require('./diff');
+const { TYPED_FORMATS } = require('./formats');
+
+const DEFAULT_DEBOUNCE = 100;
+
+/**
+ * List the files a conversion depends on
+ *
+ * All layer candidates are included, so creating .env.local later is
+ * picked up. The example file counts only when a typed format reads it;
+ * when generating an example it is an output, not an input.
+ * @param {Object} options - convertEnv options
+ * @returns {string[]} Absolute file paths
+ */
+function watchedFiles(options = {}) {
+  const { file = '.env', mode = null, schema = null, format = 'json', output = null, generateExample = false } = options;
+  const candidates = layerCandidates({ file, mode });
+  const files = [...candidates];
+  
+  if (typeof schema === 'string') {
+    files.push(schema);
+  }
+  
+  if (TYPED_FORMATS.includes(format) && !generateExample) {
+    files.push(exampleFileFor(candidates[0]));
+  }
+  
+  const resolved = files.map(watched => path.resolve(watched));
+  const outputs = [output, generateExample ? exampleFileFor(candidates[0]) : null]
+    .filter(Boolean)
+    .map(target => path.resolve(target));
+  
+  return resolved.filter((watched, index) => resolved.indexOf(watched) === index && !outputs.includes(watched));
+}
+
+/**
+ * Describe which keys changed between two loads, masking secret values
+ * @param {Object} before - Env before the change
+ * @param {Object} after - Env after the change
+ * @param {Object} options - Masking options
+ * @param {string[]} options.redact - Extra terms to mask
+ * @param {string} options.maskStyle - Mask style (default: full)
+ * @param {string} options.maskSalt - Salt for the hash mask style
+ * @returns {string[]} One line per added, removed or changed key
+ */
+function describeChanges(before, after, options = {}) {
+  const { redact = [], maskStyle = 'full', maskSalt = null } = options;
+  const { missing, extra, changed } = compareEnvs(before, after, { redact, auto: true, maskStyle, maskSalt });
+  
+  return [
+    ...extra.map(key => `+ ${key}`),
+    ...missing.map(key => `- ${key}`),
+    ...changed.map(change => `~ ${change.key}: ${change.left} -> ${change.right}`)
+  ];
+}
+
+/**
+ * Load the env for change reporting, or null when it cannot be read
+ * @param {Object} options - convertEnv options
+ * @returns {Object|null} Env
+ */
+function tryLoadEnv(options) {
+  try {
+    const { file = '.env', mode, expand, expandHost = false, processEnv = process.env, keyFile } = options;
+    return loadEnv(file, { mode, expand, processEnv: expandHost ? processEnv : false, keyFile });
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Run convertEnv and re-run it whenever an input file changes
+ *
+ * The parent directories are watched rather than the files themselves,
+ * because editors that save atomically replace the file with a new one,
+ * which a file watcher stops following. Bursts of events are debounced.
+ * A failed run is logged and leaves the previous output in place, as is a
+ * watcher error, e.g. when a watched directory is removed; the directory
+ * is watched again if it still exists.
+ * @param {Object} options - convertEnv options, plus:
+ * @param {number} options.debounce - Milliseconds to wait after the last change (default: 100)
+ * @param {Function} options.log - Receives log lines (default: console.error)
+ * @param {Function} options.onUpdate - Called with each convertEnv result
+ * @returns {Object} Watcher with the watched files and a close() method
+ */
+function watchEnv(options = {}) {
+  const { debounce = DEFAULT_DEBOUNCE, log = console.error, onUpdate = () => {} } = options;
+  const files = watchedFiles(options);
+  const directories = [...new Set(files.map(file => path.dirname(file)))];
+  const watchers = new Map();
+  let previous = tryLoadEnv(options);
+  let timer = null;
+  let closed = false;
+  
+  const convert = changed => {
+    const result = convertEnv(options);
+    const current = tryLoadEnv(options);
+    
+    if (!result.success) {
+      log(`Error: ${result.error}`);
+    } else {
+      const changes = previous && current ? describeChanges(previous, current, options) : [];
+      const source = changed ? `${changed.map(file => path.relative(process.cwd(), file)).join(', ')} changed; ` : '';
+      const summary = changed && changes.length === 0 ? ' (no key changes)' : '';
+      log(`${source}${result.message || 'Converted'}${summary}`);
+      for (const line of changes) {
+        log(`  ${line}`);
+      }
+      previous = current;
+    }
+    
+    onUpdate(result);
+  };
+  
+  const pending = new Set();
+  const schedule = file => {
+    pending.add(file);
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      const changed = [...pending];
+      pending.clear();
+      convert(changed);
+    }, debounce);
+  };
+  
+  const watch = directory => {
+    const watcher = fs.watch(directory, (event, filename) => {
+      // Some platforms do not report the file name; treat that as a change
+      const file = filename ? path.join(directory, filename.toString()) : null;
+      if (file === null) {
+        schedule(files.find(watched => path.dirname(watched) === directory));
+      } else if (files.includes(file)) {
+        schedule(file);
+      }
+    });
+    
+    // Without a listener the error would be thrown and end the process
+    watcher.on('error', error => {
+      watcher.close();
+      watchers.delete(directory);
+      if (closed) {
+        return;
+      }
+      
+      const name = path.relative(process.cwd(), directory) || '.';
+      try {
+        watch(directory);
+        log(`Watching ${name} again after an error: ${error.message}`);
+      } catch (rewatchError) {
+        log(`Stopped watching ${name}: ${error.message}`);
+      }
+    });
+    watchers.set(directory, watcher);
+  };
+  
+  for (const directory of directories) {
+    watch(directory);
+  }
+  
+  convert(null);
+  
+  return {
+    files,
+    close() {
+      closed = true;
+      clearTimeout(timer);
+      for (const watcher of watchers.values()) {
+        watcher.close();
+      }
+    }
+  };
+}
+
+module.exports = {
+  watchedFiles,
+  describeChanges,
+  watchEnv
+};